@@ -1,7 +1,17 @@
 import Customer from "../models/Customer.js";
 import Record from "../models/Record.js";
-import Holiday from "../models/Holiday.js";
 import generateToken from "../utils/generateToken.js";
+import { loadHolidayCalendar, getCustomerHolidaySlots } from "../utils/holidayUtils.js";
+import { getDeliverySlots, buildDeliverySchedule } from "../utils/deliveryPlanner.js";
+import { loadPriceLists, flagCustomRates } from "../utils/priceLists.js";
+import {
+  parseBusinessDate,
+  parseIndianDate,
+  formatBusinessDate,
+  addBusinessDays,
+  businessDayQuery,
+  today
+} from "../utils/businessDate.js";
 
 // Create a wrapper to handle errors in async functions
 const tryCatch = (controller) => async (req, res, next) => {
@@ -36,6 +46,7 @@ const getCustomers = tryCatch(async (req, res) => {
       : undefined;
   const milkType = req.query.milkType || undefined;
   const subcategory = req.query.subcategory || undefined;
+  const area = req.query.area || undefined;
 
   // Prepare conditions object - starts empty to get all data by default
   const conditions = {};
@@ -67,6 +78,10 @@ const getCustomers = tryCatch(async (req, res) => {
     conditions['deliverySchedule.milkItems.subcategory'] = subcategory;
   }
 
+  if (area) {
+    conditions.area = area;
+  }
+
   // Prepare sort object
   const sort = {};
   sort[sortField] = sortOrder === "asc" ? 1 : -1;
@@ -126,10 +141,26 @@ const getCustomerById = tryCatch(async (req, res) => {
           { path: 'subcategory', select: 'name price' }
         ]
       }
-    });
+    })
+    .populate('scheduleRevisions.deliverySchedule.milkItems.milkType', 'name')
+    .populate('scheduleRevisions.deliverySchedule.milkItems.subcategory', 'name price');
 
   if (customer) {
-    res.json(customer);
+    // Dates are YYYY-MM-DD here, so they compare as strings
+    const now = formatBusinessDate(today());
+    const { scheduleRevisions, ...customerData } = customer.toJSON();
+
+    res.json({
+      ...customerData,
+      // Revisions still to take effect, soonest first
+      upcomingScheduleRevisions: scheduleRevisions
+        .filter(revision => revision.effectiveFrom > now)
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)),
+      // Revisions already in effect, the current one first
+      pastScheduleRevisions: scheduleRevisions
+        .filter(revision => revision.effectiveFrom <= now)
+        .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))
+    });
   } else {
     res.status(404).json({ message: "Customer not found" });
   }
@@ -147,73 +178,20 @@ function calculateMilkItemTotals(deliverySchedule) {
   });
 }
 
-// Helper function to check if a date is a holiday
-const checkIfHoliday = async (date) => {
-  try {
-    const checkDate = new Date(date);
-    checkDate.setHours(0, 0, 0, 0);
-
-    const currentYear = checkDate.getFullYear();
-    const currentMonth = checkDate.getMonth();
-    const currentDay = checkDate.getDate();
-
-    // Check for non-recurring holidays (exact date match)
-    const nonRecurringHoliday = await Holiday.findOne({
-      date: {
-        $gte: checkDate,
-        $lt: new Date(checkDate.getTime() + 24 * 60 * 60 * 1000) // Next day
-      },
-      isRecurringYearly: false
-    });
-
-    if (nonRecurringHoliday) {
-      return true;
-    }
-
-    // Check for recurring holidays (same month and day, any year)
-    const recurringHolidays = await Holiday.find({
-      isRecurringYearly: true
-    });
-
-    for (const holiday of recurringHolidays) {
-      const holidayDate = new Date(holiday.date);
-      if (holidayDate.getMonth() === currentMonth &&
-        holidayDate.getDate() === currentDay) {
-        return true;
-      }
-    }
-
-    return false;
-  } catch (error) {
-    console.error('Error checking holiday:', error);
-    // In case of error, assume it's not a holiday to avoid blocking record creation
-    return false;
-  }
-};
-
 // Helper function to create historical records for a customer
 const createHistoricalRecords = async (customer, joinedDate) => {
   try {
-    // Parse the joined date from Indian format (DD/MM/YYYY) to JavaScript Date
-    const parts = joinedDate.split('/');
-    if (parts.length !== 3) {
+    // Parse the joined date from Indian format (DD/MM/YYYY)
+    const startDate = parseIndianDate(joinedDate);
+    if (!startDate) {
       console.error('Invalid date format for joinedDate:', joinedDate);
       return { success: false, error: 'Invalid date format' };
     }
 
-    const startDate = new Date(parseInt(parts[2]), parseInt(parts[1]) - 1, parseInt(parts[0]));
-    startDate.setHours(0, 0, 0, 0);
-
-    // Get yesterday's date (one day before current date)
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(23, 59, 59, 999);
-
     // If joined date is in the future, no need to create historical records
     // This is a more explicit check that returns a clear message
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    if (startDate > today) {
+    const firstOpenDay = today();
+    if (startDate > firstOpenDay) {
       return {
         success: true,
         count: 0,
@@ -221,62 +199,43 @@ const createHistoricalRecords = async (customer, joinedDate) => {
       };
     }
 
-    // Create records for each day from joined date to yesterday
+    // Create records for each day from joined date to yesterday, priced
+    // from the price lists in force on each day
+    const [priceLists, calendar] = await Promise.all([
+      loadPriceLists(),
+      loadHolidayCalendar(startDate, addBusinessDays(firstOpenDay, -1))
+    ]);
     const createdRecords = [];
-    let currentDate = new Date(startDate);
+    let currentDate = startDate;
 
-    while (currentDate <= yesterday) {
+    // Every day before today
+    while (currentDate < firstOpenDay) {
       // Check if a record already exists for this date
       const existingRecord = await Record.findOne({
         customer: customer._id,
-        date: new Date(currentDate)
+        date: businessDayQuery(currentDate)
       });
 
-      // Check if this date is a holiday
-      const isHoliday = await checkIfHoliday(currentDate);
+      // Check which of the customer's slots are on holiday on this date
+      const holidaySlots = getCustomerHolidaySlots(calendar.check(currentDate), customer);
+
+      // Slots that are not paused or on holiday on this date
+      const slots = getDeliverySlots(customer, currentDate)
+        .filter(time => !holidaySlots.includes(time));
 
-      // If no record exists and it's not a holiday, create a new record
-      if (!existingRecord && !isHoliday) {
+      // If no record exists and a slot is still due, create a new record
+      if (!existingRecord && slots.length > 0) {
         // Prepare new deliverySchedule for the record
-        const recordDeliverySchedule = [];
-        let totalDailyQuantity = 0;
-        let totalDailyPrice = 0;
-
-        for (const delivery of customer.deliverySchedule) {
-          const recordMilkItems = [];
-          let deliveryTotalQuantity = 0;
-          let deliveryTotalPrice = 0;
-
-          for (const milkItem of delivery.milkItems) {
-            const quantity = milkItem.quantity;
-            const pricePerUnit = milkItem.pricePerUnit;
-            const totalPrice = quantity * pricePerUnit;
-
-            recordMilkItems.push({
-              milkType: milkItem.milkType,
-              subcategory: milkItem.subcategory,
-              quantity,
-              pricePerUnit,
-              totalPrice
-            });
-            deliveryTotalQuantity += quantity;
-            deliveryTotalPrice += totalPrice;
-          }
-
-          recordDeliverySchedule.push({
-            time: delivery.time,
-            milkItems: recordMilkItems,
-            totalQuantity: deliveryTotalQuantity,
-            totalPrice: deliveryTotalPrice
-          });
-          totalDailyQuantity += deliveryTotalQuantity;
-          totalDailyPrice += deliveryTotalPrice;
-        }
+        const {
+          deliverySchedule: recordDeliverySchedule,
+          totalDailyQuantity,
+          totalDailyPrice
+        } = buildDeliverySchedule(customer, currentDate, [], { slots, priceLists });
 
         // Create the record
         const record = await Record.create({
           customer: customer._id,
-          date: new Date(currentDate),
+          date: currentDate,
           deliverySchedule: recordDeliverySchedule,
           totalDailyQuantity,
           totalDailyPrice
@@ -286,7 +245,7 @@ const createHistoricalRecords = async (customer, joinedDate) => {
       }
 
       // Move to the next day
-      currentDate.setDate(currentDate.getDate() + 1);
+      currentDate = addBusinessDays(currentDate, 1);
     }
 
     return {
@@ -304,6 +263,7 @@ const createCustomer = tryCatch(async (req, res) => {
     name,
     phoneNo,
     address,
+    area,
     deliverySchedule,
     password,
     username,
@@ -319,8 +279,10 @@ const createCustomer = tryCatch(async (req, res) => {
       .json({ message: "Customer with this phone number already exists" });
   }
 
-  // Calculate totals for milk items
+  // Calculate totals for milk items and mark negotiated rates, so records
+  // keep them instead of following the price list
   calculateMilkItemTotals(deliverySchedule);
+  await flagCustomRates(deliverySchedule, today());
 
   // If username or password are not provided, set them to phoneNo
   if (!username) username = phoneNo;
@@ -331,6 +293,7 @@ const createCustomer = tryCatch(async (req, res) => {
     name,
     phoneNo,
     address,
+    area,
     deliverySchedule,
     username,
     password,
@@ -349,7 +312,7 @@ const createCustomer = tryCatch(async (req, res) => {
     }
 
     res.status(201).json({
-      ...createdCustomer.toObject(),
+      ...createdCustomer.toJSON(),
       historicalRecords: historicalRecordsResult
     });
   } else {
@@ -364,9 +327,14 @@ const updateCustomer = tryCatch(async (req, res) => {
   const customer = await Customer.findById(req.params.id);
 
   if (customer) {
+    if (req.body.effectiveFrom && !req.body.deliverySchedule) {
+      return res.status(400).json({ message: "A delivery schedule is required when an effective date is given" });
+    }
+
     customer.name = req.body.name || customer.name;
     customer.phoneNo = req.body.phoneNo || customer.phoneNo;
     customer.address = req.body.address || customer.address;
+    customer.area = req.body.area !== undefined ? req.body.area : customer.area;
     customer.isActive =
       req.body.isActive !== undefined ? req.body.isActive : customer.isActive;
 
@@ -375,10 +343,23 @@ const updateCustomer = tryCatch(async (req, res) => {
       customer.joinedDate = req.body.joinedDate;
     }
 
-    // Update delivery schedule if provided
+    // Update delivery schedule if provided. The change is kept as a
+    // revision and takes effect from effectiveFrom (today by default).
     if (req.body.deliverySchedule) {
+      const effectiveFrom = req.body.effectiveFrom
+        ? parseBusinessDate(req.body.effectiveFrom)
+        : today();
+
+      if (!effectiveFrom) {
+        return res.status(400).json({ message: "Invalid effective date format. Please use YYYY-MM-DD format" });
+      }
+
       calculateMilkItemTotals(req.body.deliverySchedule);
-      customer.deliverySchedule = req.body.deliverySchedule;
+      await flagCustomRates(req.body.deliverySchedule, effectiveFrom);
+      customer.reviseSchedule(req.body.deliverySchedule, effectiveFrom, {
+        note: req.body.scheduleNote,
+        createdBy: req.admin?._id
+      });
     }
 
     // If phone number is updated, update username too (unless explicitly provided)
@@ -476,6 +457,198 @@ const getCustomersWithAdvance = tryCatch(async (req, res) => {
   res.json(customers);
 });
 
+// Validate a pause period and make sure it does not overlap another pause
+// covering the same slot. Returns an error message, or null when valid.
+const validatePausePeriod = (customer, { startDate, endDate, slot }, pauseId) => {
+  if (!startDate || !endDate) {
+    return "Start date and end date are required in YYYY-MM-DD format";
+  }
+
+  if (endDate < startDate) {
+    return "End date cannot be before start date";
+  }
+
+  if (slot && !["morning", "evening"].includes(slot)) {
+    return "Slot must be either morning or evening";
+  }
+
+  const overlapping = customer.pausePeriods.find(pause =>
+    pause._id.toString() !== pauseId &&
+    pause.startDate <= endDate &&
+    startDate <= pause.endDate &&
+    (!pause.slot || !slot || pause.slot === slot)
+  );
+
+  if (overlapping) {
+    return `Pause overlaps an existing pause from ${formatBusinessDate(overlapping.startDate)} to ${formatBusinessDate(overlapping.endDate)}`;
+  }
+
+  return null;
+};
+
+// @desc    Get customers paused on a date
+// @route   GET /api/customers/paused?date=YYYY-MM-DD
+// @access  Private/Admin
+const getPausedCustomers = tryCatch(async (req, res) => {
+  const date = req.query.date ? parseBusinessDate(req.query.date) : today();
+
+  if (!date) {
+    return res.status(400).json({ message: "Invalid date format. Please use YYYY-MM-DD format" });
+  }
+
+  const customers = await Customer.find({
+    pausePeriods: {
+      $elemMatch: { startDate: { $lte: date }, endDate: { $gte: date } }
+    }
+  })
+    .select("customerNo name phoneNo address isActive pausePeriods")
+    .sort({ customerNo: 1 })
+    .lean();
+
+  res.json({
+    date: formatBusinessDate(date),
+    total: customers.length,
+    customers: customers.map(({ pausePeriods, ...customer }) => ({
+      ...customer,
+      pauses: pausePeriods
+        .filter(pause => pause.startDate <= date && date <= pause.endDate)
+        .map(pause => ({
+          ...pause,
+          startDate: formatBusinessDate(pause.startDate),
+          endDate: formatBusinessDate(pause.endDate)
+        }))
+    }))
+  });
+});
+
+// @desc    Add a pause period for a customer
+// @route   POST /api/customers/:id/pauses
+// @access  Private/Admin
+const addPausePeriod = tryCatch(async (req, res) => {
+  const customer = await Customer.findById(req.params.id).select("pausePeriods");
+
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const pause = {
+    startDate: parseBusinessDate(req.body.startDate),
+    endDate: parseBusinessDate(req.body.endDate),
+    slot: req.body.slot || undefined,
+    reason: req.body.reason
+  };
+
+  const error = validatePausePeriod(customer, pause);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  // Update the pauses directly so the save hooks do not touch the password
+  const updatedCustomer = await Customer.findByIdAndUpdate(
+    customer._id,
+    { $push: { pausePeriods: pause } },
+    { new: true, runValidators: true }
+  ).select("customerNo name pausePeriods");
+
+  res.status(201).json(updatedCustomer);
+});
+
+// @desc    Update a pause period (e.g. end it early)
+// @route   PUT /api/customers/:id/pauses/:pauseId
+// @access  Private/Admin
+const updatePausePeriod = tryCatch(async (req, res) => {
+  const customer = await Customer.findById(req.params.id).select("pausePeriods");
+
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const existing = customer.pausePeriods.id(req.params.pauseId);
+  if (!existing) {
+    return res.status(404).json({ message: "Pause period not found" });
+  }
+
+  const pause = {
+    startDate: req.body.startDate ? parseBusinessDate(req.body.startDate) : existing.startDate,
+    endDate: req.body.endDate ? parseBusinessDate(req.body.endDate) : existing.endDate,
+    slot: req.body.slot !== undefined ? req.body.slot || undefined : existing.slot,
+    reason: req.body.reason !== undefined ? req.body.reason : existing.reason
+  };
+
+  const error = validatePausePeriod(customer, pause, req.params.pauseId);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const update = {
+    $set: {
+      "pausePeriods.$.startDate": pause.startDate,
+      "pausePeriods.$.endDate": pause.endDate,
+      "pausePeriods.$.reason": pause.reason
+    }
+  };
+  if (pause.slot) {
+    update.$set["pausePeriods.$.slot"] = pause.slot;
+  } else {
+    update.$unset = { "pausePeriods.$.slot": "" };
+  }
+
+  const updatedCustomer = await Customer.findOneAndUpdate(
+    { _id: customer._id, "pausePeriods._id": existing._id },
+    update,
+    { new: true, runValidators: true }
+  ).select("customerNo name pausePeriods");
+
+  res.json(updatedCustomer);
+});
+
+// @desc    Delete a pause period
+// @route   DELETE /api/customers/:id/pauses/:pauseId
+// @access  Private/Admin
+const deletePausePeriod = tryCatch(async (req, res) => {
+  const customer = await Customer.findOneAndUpdate(
+    { _id: req.params.id, "pausePeriods._id": req.params.pauseId },
+    { $pull: { pausePeriods: { _id: req.params.pauseId } } },
+    { new: true }
+  ).select("customerNo name pausePeriods");
+
+  if (!customer) {
+    return res.status(404).json({ message: "Pause period not found" });
+  }
+
+  res.json(customer);
+});
+
+// @desc    Cancel an upcoming schedule revision
+// @route   DELETE /api/customers/:id/schedule-revisions/:revisionId
+// @access  Private/Admin
+const deleteScheduleRevision = tryCatch(async (req, res) => {
+  const customer = await Customer.findById(req.params.id).select("scheduleRevisions");
+
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const revision = customer.scheduleRevisions.id(req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ message: "Schedule revision not found" });
+  }
+
+  // Revisions already in effect are history and cannot be removed
+  if (revision.effectiveFrom <= today()) {
+    return res.status(400).json({ message: "Only revisions that have not taken effect yet can be cancelled" });
+  }
+
+  // Update the revisions directly so the save hooks do not touch the password
+  const updatedCustomer = await Customer.findByIdAndUpdate(
+    customer._id,
+    { $pull: { scheduleRevisions: { _id: revision._id } } },
+    { new: true }
+  ).select("customerNo name scheduleRevisions");
+
+  res.json(updatedCustomer);
+});
+
 export {
   getCustomers,
   getCustomerById,
@@ -484,4 +657,9 @@ export {
   deleteCustomer,
   authCustomer,
   getCustomersWithAdvance,
+  getPausedCustomers,
+  addPausePeriod,
+  updatePausePeriod,
+  deletePausePeriod,
+  deleteScheduleRevision,
 };
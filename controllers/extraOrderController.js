@@ -0,0 +1,204 @@
+import ExtraOrder from '../models/ExtraOrder.js';
+import Customer from '../models/Customer.js';
+import Subcategory from '../models/Subcategory.js';
+import Record from '../models/Record.js';
+import { checkIfHoliday, getCustomerHolidaySlots } from '../utils/holidayUtils.js';
+import { getPausedSlots } from '../utils/deliveryPlanner.js';
+import { snapshotRecord, logRecordRevision } from '../utils/recordAudit.js';
+import { parseBusinessDate, formatBusinessDate, businessDayQuery, today } from '../utils/businessDate.js';
+
+// Create a wrapper to handle errors in async functions
+const tryCatch = (controller) => async (req, res, next) => {
+  try {
+    await controller(req, res);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: error.message || "Server Error",
+    });
+  }
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const populateOrder = (query) => query
+  .populate('customer', 'name customerNo')
+  .populate('milkType', 'name')
+  .populate('subcategory', 'name');
+
+// Add an extra order line to a record, adding the slot if needed
+const addExtraLine = (record, order) => {
+  let delivery = record.deliverySchedule.find(d => d.time === order.time);
+  if (!delivery) {
+    record.deliverySchedule.push({ time: order.time, milkItems: [] });
+    delivery = record.deliverySchedule.find(d => d.time === order.time);
+  }
+
+  delivery.milkItems.push({
+    milkType: order.milkType,
+    subcategory: order.subcategory,
+    quantity: order.quantity,
+    pricePerUnit: order.pricePerUnit,
+    totalPrice: order.quantity * order.pricePerUnit,
+    plannedQuantity: order.quantity,
+    isExtra: true,
+    extraOrder: order._id
+  });
+};
+
+// Remove an extra order line from a record, and its slot if nothing is left
+const removeExtraLine = (record, order) => {
+  record.deliverySchedule.forEach(delivery => {
+    delivery.milkItems = delivery.milkItems.filter(item => item.extraOrder?.toString() !== order._id.toString());
+  });
+  record.deliverySchedule = record.deliverySchedule.filter(delivery => delivery.milkItems.length > 0);
+};
+
+// @desc    Get extra orders
+// @route   GET /api/extra-orders?date=YYYY-MM-DD&customerId=&status=
+// @access  Private/Admin
+const getExtraOrders = tryCatch(async (req, res) => {
+  const { date, customerId, status } = req.query;
+  const conditions = {};
+
+  if (date) {
+    const day = parseBusinessDate(date);
+    if (!day) {
+      throw httpError(400, 'Invalid date format. Please use YYYY-MM-DD format');
+    }
+    conditions.date = businessDayQuery(day);
+  }
+  if (customerId) conditions.customer = customerId;
+  if (status) conditions.status = status;
+
+  const orders = await populateOrder(ExtraOrder.find(conditions)).sort({ date: -1, time: 1 });
+
+  res.json(orders);
+});
+
+// @desc    Add an extra order for a customer on a date and slot
+// @route   POST /api/extra-orders
+// @access  Private/Admin
+const createExtraOrder = tryCatch(async (req, res) => {
+  const { customerId, date, time, subcategory: subcategoryId, quantity, pricePerUnit, note } = req.body;
+
+  if (!customerId || !date || !time || !subcategoryId || quantity === undefined) {
+    throw httpError(400, 'Please provide customerId, date, time, subcategory and quantity');
+  }
+
+  const orderDate = parseBusinessDate(date);
+  if (!orderDate) {
+    throw httpError(400, 'Invalid date format. Please use YYYY-MM-DD format');
+  }
+
+  if (!['morning', 'evening'].includes(time)) {
+    throw httpError(400, 'Time must be either morning or evening');
+  }
+
+  if (typeof quantity !== 'number' || quantity <= 0) {
+    throw httpError(400, 'Quantity must be a number greater than 0');
+  }
+
+  if (pricePerUnit !== undefined && (typeof pricePerUnit !== 'number' || pricePerUnit < 0)) {
+    throw httpError(400, 'Price per unit must be a number of 0 or more');
+  }
+
+  const [customer, subcategory] = await Promise.all([
+    Customer.findById(customerId).select('name area isActive pausePeriods'),
+    Subcategory.findById(subcategoryId)
+  ]);
+
+  if (!customer || !customer.isActive) {
+    throw httpError(404, 'Active customer not found');
+  }
+
+  if (!subcategory || !subcategory.isActive) {
+    throw httpError(404, 'Active subcategory not found');
+  }
+
+  const holiday = await checkIfHoliday(orderDate);
+  if (getCustomerHolidaySlots(holiday, customer).includes(time)) {
+    throw httpError(400, `The ${time} delivery on ${formatBusinessDate(orderDate)} is off for a holiday (${holiday.holidayName})`);
+  }
+
+  if (getPausedSlots(customer, orderDate).includes(time)) {
+    throw httpError(400, `The customer's ${time} deliveries are paused on ${formatBusinessDate(orderDate)}`);
+  }
+
+  const order = await ExtraOrder.create({
+    customer: customer._id,
+    date: orderDate,
+    time,
+    milkType: subcategory.category,
+    subcategory: subcategory._id,
+    quantity,
+    pricePerUnit: pricePerUnit !== undefined ? pricePerUnit : subcategory.getPriceOn(orderDate),
+    note,
+    createdBy: req.admin?._id
+  });
+
+  // Add the line to the day's record straight away if it has been
+  // generated, or create the record if the day has already passed.
+  // Otherwise it is merged in when the day's records are generated.
+  let record = await Record.findOne({ customer: customer._id, date: businessDayQuery(orderDate) });
+  if (record || orderDate < today()) {
+    const before = snapshotRecord(record);
+    if (!record) {
+      record = new Record({ customer: customer._id, date: orderDate, deliverySchedule: [] });
+    }
+
+    addExtraLine(record, order);
+    await record.save();
+    await logRecordRevision(record, before, {
+      action: 'extra-order',
+      reason: note ? `Extra order: ${note}` : 'Extra order added',
+      changedBy: req.admin?._id
+    });
+
+    order.status = 'applied';
+    order.record = record._id;
+    order.appliedAt = new Date();
+    await order.save();
+  }
+
+  res.status(201).json(await populateOrder(ExtraOrder.findById(order._id)));
+});
+
+// @desc    Cancel an extra order, removing it from the day's record
+// @route   DELETE /api/extra-orders/:id
+// @access  Private/Admin
+const cancelExtraOrder = tryCatch(async (req, res) => {
+  const order = await ExtraOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({ message: "Extra order not found" });
+  }
+
+  if (order.status === 'cancelled') {
+    throw httpError(400, 'Extra order is already cancelled');
+  }
+
+  if (order.status === 'applied') {
+    const record = await Record.findById(order.record);
+    if (record) {
+      const before = snapshotRecord(record);
+      removeExtraLine(record, order);
+      await record.save();
+      await logRecordRevision(record, before, {
+        action: 'extra-order',
+        reason: req.body?.reason || 'Extra order cancelled',
+        changedBy: req.admin?._id
+      });
+    }
+  }
+
+  order.status = 'cancelled';
+  await order.save();
+
+  res.json(await populateOrder(ExtraOrder.findById(order._id)));
+});
+
+export { getExtraOrders, createExtraOrder, cancelExtraOrder };
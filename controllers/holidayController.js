@@ -1,31 +1,230 @@
 // backend/controllers/holidayController.js
+import mongoose from 'mongoose';
 import Holiday from '../models/Holiday.js';
+import { previewHolidayImpact } from '../utils/holidayImpact.js';
+import { planHolidayReconciliation, applyHolidayReconciliation } from '../utils/holidayReconciler.js';
+import { holidayFallsOn, loadHolidayCalendar } from '../utils/holidayUtils.js';
+import { parseICS, parseByDay, buildICS } from '../utils/ics.js';
+import {
+  parseBusinessDate,
+  formatBusinessDate,
+  addBusinessDays,
+  today as businessToday,
+  yearRange
+} from '../utils/businessDate.js';
+
+// A holiday on one of the days it falls on, dated that day
+const toOccurrenceJSON = ({ holiday, date }) => ({
+  ...holiday.toJSON(),
+  date: formatBusinessDate(date)
+});
+
+const HOLIDAY_SLOTS = ['morning', 'evening', 'both'];
+
+// Read the exempt customers, areas and routes a holiday is limited to.
+// Returns only the fields present in the body, or an error message.
+const parseHolidayScope = (body) => {
+  const scope = {};
+
+  for (const field of ['exemptCustomers', 'routes']) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field]) || !body[field].every(id => mongoose.isValidObjectId(id))) {
+      return { error: `${field} must be a list of ids` };
+    }
+    scope[field] = body[field];
+  }
+
+  if (body.areas !== undefined) {
+    if (!Array.isArray(body.areas) || !body.areas.every(area => typeof area === 'string')) {
+      return { error: 'areas must be a list of area names' };
+    }
+    scope.areas = body.areas.map(area => area.trim()).filter(Boolean);
+  }
+
+  return { scope };
+};
+
+const RECURRENCE_FREQUENCIES = ['weekly', 'monthly'];
+const WEEKS_OF_MONTH = [1, 2, 3, 4, 5, -1];
+
+// Read a weekly or monthly recurrence rule. Returns the rule (null to clear
+// it) or an error message.
+const parseRecurrence = (value) => {
+  if (value === null) return { recurrence: null };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'recurrence must be an object' };
+  }
+
+  const { frequency, interval, daysOfWeek, weeksOfMonth, until } = value;
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: 'recurrence.frequency must be weekly or monthly' };
+  }
+
+  const recurrence = { frequency, interval: 1, daysOfWeek: [], weeksOfMonth: [] };
+
+  if (interval !== undefined) {
+    if (!Number.isInteger(interval) || interval < 1) {
+      return { error: 'recurrence.interval must be a whole number of at least 1' };
+    }
+    recurrence.interval = interval;
+  }
+
+  if (daysOfWeek !== undefined) {
+    if (!Array.isArray(daysOfWeek) || !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: 'recurrence.daysOfWeek must list weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+    recurrence.daysOfWeek = [...new Set(daysOfWeek)];
+  }
+
+  if (weeksOfMonth !== undefined) {
+    if (frequency !== 'monthly') {
+      return { error: 'recurrence.weeksOfMonth only applies to monthly rules' };
+    }
+    if (!Array.isArray(weeksOfMonth) || !weeksOfMonth.every(week => WEEKS_OF_MONTH.includes(week))) {
+      return { error: 'recurrence.weeksOfMonth must list weeks from 1 to 5, or -1 for the last week' };
+    }
+    recurrence.weeksOfMonth = [...new Set(weeksOfMonth)];
+  }
+
+  if (until !== undefined && until !== null) {
+    recurrence.until = parseBusinessDate(until);
+    if (!recurrence.until) {
+      return { error: 'recurrence.until must be a date in YYYY-MM-DD format' };
+    }
+  }
+
+  return { recurrence };
+};
+
+// A holiday repeats every year or by a rule, and a rule cannot end before
+// it starts
+const checkRecurrence = (holiday) => {
+  if (holiday.isRecurringYearly && holiday.recurrence?.frequency) {
+    return 'A holiday can repeat every year or by a recurrence rule, not both';
+  }
+  if (holiday.recurrence?.until && holiday.recurrence.until < holiday.date) {
+    return 'recurrence.until cannot be before the holiday date';
+  }
+  return null;
+};
+
+// Response sent when a holiday change would alter invoiced days
+const invoicedConflict = (res, invoiced) => res.status(409).json({
+  message: 'Records covered by this holiday change are already invoiced. Update or remove those invoices first',
+  invoiced
+});
+
+// Save a new holiday and bring records already generated for its days in
+// line. Nothing is saved when invoiced days would change; the invoiced days
+// are returned instead.
+const saveNewHoliday = async (holiday, changedBy) => {
+  const plan = await planHolidayReconciliation(null, holiday);
+  if (plan.invoiced.length > 0) {
+    return { invoiced: plan.invoiced };
+  }
+
+  await holiday.save();
+  const reconciliation = await applyHolidayReconciliation(plan, {
+    reason: `Holiday created: ${holiday.name}`,
+    changedBy
+  });
+
+  return { reconciliation };
+};
 
 // @desc    Create new holiday
 // @route   POST /api/holidays
 // @access  Admin
 export const createHoliday = async (req, res) => {
   try {
-    const { date, name, reason, isRecurringYearly } = req.body;
+    const { date, name, reason, slot, isRecurringYearly } = req.body;
 
     if (!date || !name || !reason) {
       res.status(400);
       throw new Error('Please provide date, name and reason');
     }
 
-    const holiday = await Holiday.create({
-      date,
+    const holidayDate = parseBusinessDate(date);
+    if (!holidayDate) {
+      throw new Error('Invalid date format. Please use YYYY-MM-DD format');
+    }
+
+    if (slot && !HOLIDAY_SLOTS.includes(slot)) {
+      throw new Error('Slot must be morning, evening or both');
+    }
+
+    const { scope, error } = parseHolidayScope(req.body);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const { recurrence, error: recurrenceError } = req.body.recurrence !== undefined
+      ? parseRecurrence(req.body.recurrence)
+      : {};
+    if (recurrenceError) {
+      throw new Error(recurrenceError);
+    }
+
+    const holiday = new Holiday({
+      date: holidayDate,
       name,
       reason,
-      isRecurringYearly: isRecurringYearly || false
+      slot: slot || 'both',
+      ...scope,
+      isRecurringYearly: isRecurringYearly || false,
+      recurrence: recurrence || undefined
     });
 
-    res.status(201).json(holiday);
+    const ruleError = checkRecurrence(holiday);
+    if (ruleError) {
+      throw new Error(ruleError);
+    }
+    await holiday.validate();
+
+    const { invoiced, reconciliation } = await saveNewHoliday(holiday, req.admin?._id);
+    if (invoiced) {
+      return invoicedConflict(res, invoiced);
+    }
+
+    res.status(201).json({ ...holiday.toJSON(), reconciliation });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 };
 
+// @desc    Preview the deliveries and billing a proposed holiday removes
+// @route   POST /api/holidays/preview
+// @access  Admin
+export const previewHoliday = async (req, res) => {
+  try {
+    const { date, slot } = req.body;
+
+    const holidayDate = parseBusinessDate(date);
+    if (!holidayDate) {
+      return res.status(400).json({ message: 'Please provide the date in YYYY-MM-DD format' });
+    }
+
+    if (slot && !HOLIDAY_SLOTS.includes(slot)) {
+      return res.status(400).json({ message: 'Slot must be morning, evening or both' });
+    }
+
+    const { scope, error } = parseHolidayScope(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const impact = await previewHolidayImpact({
+      date: holidayDate,
+      slot: slot || 'both',
+      ...scope
+    });
+
+    res.json(impact);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // @desc    Get all holidays with optional filtering
 // @route   GET /api/holidays
 // @access  Public
@@ -37,13 +236,14 @@ export const getHolidays = async (req, res) => {
     
     // Add year filter if provided
     if (year) {
-      const startDate = new Date(`${year}-01-01`);
-      const endDate = new Date(`${year}-12-31`);
-      endDate.setHours(23, 59, 59, 999);
+      if (isNaN(parseInt(year))) {
+        return res.status(400).json({ message: 'Invalid year format' });
+      }
+      const { start, end } = yearRange(parseInt(year));
       
       query.date = {
-        $gte: startDate,
-        $lte: endDate
+        $gte: start,
+        $lte: end
       };
     }
     
@@ -64,7 +264,9 @@ export const getHolidays = async (req, res) => {
 // @access  Public
 export const getHolidayById = async (req, res) => {
   try {
-    const holiday = await Holiday.findById(req.params.id);
+    const holiday = await Holiday.findById(req.params.id)
+      .populate('exemptCustomers', 'name customerNo')
+      .populate('routes', 'name slot');
     
     if (holiday) {
       res.json(holiday);
@@ -81,21 +283,69 @@ export const getHolidayById = async (req, res) => {
 // @access  Admin
 export const updateHoliday = async (req, res) => {
   try {
-    const { date, name, reason, isRecurringYearly } = req.body;
+    const { date, name, reason, slot, isRecurringYearly } = req.body;
     
+    if (slot && !HOLIDAY_SLOTS.includes(slot)) {
+      return res.status(400).json({ message: 'Slot must be morning, evening or both' });
+    }
+
+    const { scope, error } = parseHolidayScope(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { recurrence, error: recurrenceError } = req.body.recurrence !== undefined
+      ? parseRecurrence(req.body.recurrence)
+      : {};
+    if (recurrenceError) {
+      return res.status(400).json({ message: recurrenceError });
+    }
+
+    let holidayDate;
+    if (date) {
+      holidayDate = parseBusinessDate(date);
+      if (!holidayDate) {
+        return res.status(400).json({ message: 'Invalid date format. Please use YYYY-MM-DD format' });
+      }
+    }
+
     const holiday = await Holiday.findById(req.params.id);
     
     if (holiday) {
-      holiday.date = date || holiday.date;
+      const previous = holiday.toObject();
+      holiday.date = holidayDate || holiday.date;
       holiday.name = name || holiday.name;
       holiday.reason = reason || holiday.reason;
+      holiday.slot = slot || holiday.slot;
+      Object.assign(holiday, scope);
       
       if (isRecurringYearly !== undefined) {
         holiday.isRecurringYearly = isRecurringYearly;
       }
+
+      if (recurrence !== undefined) {
+        holiday.recurrence = recurrence || undefined;
+      }
+
+      const ruleError = checkRecurrence(holiday);
+      if (ruleError) {
+        return res.status(400).json({ message: ruleError });
+      }
       
+      await holiday.validate();
+
+      const plan = await planHolidayReconciliation(previous, holiday);
+      if (plan.invoiced.length > 0) {
+        return invoicedConflict(res, plan.invoiced);
+      }
+
       const updatedHoliday = await holiday.save();
-      res.json(updatedHoliday);
+      const reconciliation = await applyHolidayReconciliation(plan, {
+        reason: `Holiday updated: ${updatedHoliday.name}`,
+        changedBy: req.admin?._id
+      });
+
+      res.json({ ...updatedHoliday.toJSON(), reconciliation });
     } else {
       res.status(404).json({ message: 'Holiday not found' });
     }
@@ -112,8 +362,18 @@ export const deleteHoliday = async (req, res) => {
     const holiday = await Holiday.findById(req.params.id);
     
     if (holiday) {
+      const plan = await planHolidayReconciliation(holiday, null);
+      if (plan.invoiced.length > 0) {
+        return invoicedConflict(res, plan.invoiced);
+      }
+
       await holiday.deleteOne();
-      res.json({ message: 'Holiday removed' });
+      const reconciliation = await applyHolidayReconciliation(plan, {
+        reason: `Holiday removed: ${holiday.name}`,
+        changedBy: req.admin?._id
+      });
+
+      res.json({ message: 'Holiday removed', reconciliation });
     } else {
       res.status(404).json({ message: 'Holiday not found' });
     }
@@ -127,52 +387,16 @@ export const deleteHoliday = async (req, res) => {
 // @access  Public
 export const getUpcomingHolidays = async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Find non-recurring holidays in the future
-    const nonRecurringHolidays = await Holiday.find({
-      date: { $gte: today },
-      isRecurringYearly: false
-    }).sort({ date: 1 });
-    
-    // Find recurring holidays
-    const recurringHolidays = await Holiday.find({
-      isRecurringYearly: true
-    });
-    
-    const currentYear = today.getFullYear();
-    const upcomingRecurringHolidays = recurringHolidays.map(holiday => {
-      const holidayDate = new Date(holiday.date);
-      // Set to current year
-      const thisYearDate = new Date(
-        currentYear,
-        holidayDate.getMonth(),
-        holidayDate.getDate()
-      );
-      
-      // If already passed this year, set to next year
-      if (thisYearDate < today) {
-        thisYearDate.setFullYear(currentYear + 1);
-      }
-      
-      return {
-        _id: holiday._id,
-        date: thisYearDate,
-        name: holiday.name,
-        reason: holiday.reason,
-        isRecurringYearly: true
-      };
-    });
+    const today = businessToday();
     
-    // Combine and sort all upcoming holidays
-    const upcomingHolidays = [...nonRecurringHolidays, ...upcomingRecurringHolidays]
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    // Holidays over the coming year, with recurring ones on each day they
+    // fall on
+    const { occurrences } = await loadHolidayCalendar(today, addBusinessDays(today, 365));
     
     // Limit to next 5 holidays
-    const nextHolidays = upcomingHolidays.slice(0, 5);
+    const nextHolidays = occurrences.slice(0, 5);
     
-    res.json(nextHolidays);
+    res.json(nextHolidays.map(toOccurrenceJSON));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -189,45 +413,235 @@ export const getHolidaysByYear = async (req, res) => {
       return res.status(400).json({ message: 'Invalid year format' });
     }
     
-    const startDate = new Date(`${year}-01-01`);
-    const endDate = new Date(`${year}-12-31`);
-    endDate.setHours(23, 59, 59, 999);
+    const { start: startDate, end: endDate } = yearRange(year);
     
-    // Find non-recurring holidays for the year
-    const nonRecurringHolidays = await Holiday.find({
-      date: { $gte: startDate, $lte: endDate },
-      isRecurringYearly: false
-    });
+    // Every holiday day of the year, with recurring holidays expanded
+    const { occurrences } = await loadHolidayCalendar(startDate, endDate);
     
-    // Find recurring holidays
-    const recurringHolidays = await Holiday.find({
-      isRecurringYearly: true
-    });
-    
-    // Set recurring holidays to the requested year
-    const yearlyRecurringHolidays = recurringHolidays.map(holiday => {
-      const holidayDate = new Date(holiday.date);
-      const adjustedDate = new Date(
-        year,
-        holidayDate.getMonth(),
-        holidayDate.getDate()
-      );
-      
-      return {
-        _id: holiday._id,
-        date: adjustedDate,
-        name: holiday.name,
-        reason: holiday.reason,
-        isRecurringYearly: true
-      };
+    res.json(occurrences.map(toOccurrenceJSON));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Read an uploaded .ics file, sent either as the raw text/calendar body or
+// as { ics } in a JSON body
+const readCalendar = (req) => {
+  const text = typeof req.body === 'string' ? req.body : req.body?.ics;
+  return typeof text === 'string' && text.includes('BEGIN:VCALENDAR') ? text : null;
+};
+
+// How an event's RRULE maps onto a holiday: every year, or a weekly or
+// monthly recurrence rule. Returns { isRecurringYearly, recurrence } or a
+// problem for rules holidays cannot express.
+const readEventRule = (rrule) => {
+  if (!rrule) return { isRecurringYearly: false, recurrence: null };
+
+  const interval = Number(rrule.INTERVAL || 1);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { problem: 'The repeat interval cannot be read' };
+  }
+  if (rrule.COUNT !== undefined) {
+    return { problem: 'Events that repeat a set number of times are not supported' };
+  }
+  if (rrule.UNTIL === null) {
+    return { problem: 'The repeat end date cannot be read' };
+  }
+
+  if (rrule.FREQ === 'YEARLY') {
+    if (interval !== 1 || rrule.UNTIL) {
+      return { problem: 'Only events repeating every year with no end are supported' };
+    }
+    return { isRecurringYearly: true, recurrence: null };
+  }
+
+  if (rrule.FREQ !== 'WEEKLY' && rrule.FREQ !== 'MONTHLY') {
+    return { problem: 'Only events repeating yearly, weekly or monthly are supported' };
+  }
+
+  const byDay = rrule.BYDAY ? parseByDay(rrule.BYDAY) : [];
+  if (!byDay) {
+    return { problem: 'The repeat weekdays cannot be read' };
+  }
+
+  const recurrence = {
+    frequency: rrule.FREQ.toLowerCase(),
+    interval,
+    daysOfWeek: [...new Set(byDay.map(entry => entry.day))],
+    weeksOfMonth: [],
+    ...(rrule.UNTIL ? { until: rrule.UNTIL } : {})
+  };
+
+  if (rrule.FREQ === 'WEEKLY') {
+    if (byDay.some(entry => entry.week !== null)) {
+      return { problem: 'Weekly events cannot pick weeks of the month' };
+    }
+    return { isRecurringYearly: false, recurrence };
+  }
+
+  // Monthly events repeat on weekdays in given weeks, written as '2SU' or
+  // as 'SU' with BYSETPOS=2
+  const weeks = rrule.BYSETPOS
+    ? rrule.BYSETPOS.split(',').map(Number)
+    : [...new Set(byDay.map(entry => entry.week))];
+  if (byDay.length === 0 || (rrule.BYSETPOS && byDay.some(entry => entry.week !== null))) {
+    return { problem: 'Only monthly events on given weekdays are supported' };
+  }
+  if (!weeks.every(week => WEEKS_OF_MONTH.includes(week))) {
+    return { problem: 'Monthly events must fall in weeks 1 to 5 or the last week' };
+  }
+
+  // Every weekday has to fall in every week listed
+  const pairs = new Set(byDay.map(entry => `${rrule.BYSETPOS ? '' : entry.week}:${entry.day}`));
+  const expected = rrule.BYSETPOS ? recurrence.daysOfWeek.length : recurrence.daysOfWeek.length * weeks.length;
+  if (pairs.size !== expected) {
+    return { problem: 'Monthly events must fall on the same weekdays in each week they repeat' };
+  }
+
+  return { isRecurringYearly: false, recurrence: { ...recurrence, weeksOfMonth: weeks } };
+};
+
+// Turn calendar events into proposed holidays, marking the ones that are
+// invalid or already exist
+const planHolidayImport = async (events) => {
+  const existing = await Holiday.find();
+  const seen = [];
+
+  return events.map(event => {
+    const rule = readEventRule(event.rrule);
+    const item = {
+      uid: event.uid,
+      date: event.date,
+      name: event.summary,
+      reason: event.description || event.summary,
+      isRecurringYearly: rule.isRecurringYearly || false,
+      recurrence: rule.recurrence || null,
+      status: 'new',
+      problem: null
+    };
+
+    if (!event.date) {
+      return { ...item, status: 'invalid', problem: 'Event has no readable start date' };
+    }
+    if (!event.summary) {
+      return { ...item, status: 'invalid', problem: 'Event has no summary to use as the name' };
+    }
+    if (rule.problem) {
+      return { ...item, status: 'invalid', problem: rule.problem };
+    }
+
+    // Same name on the same day, in the database or earlier in the file
+    const sameHoliday = (holiday) =>
+      holiday.name.toLowerCase() === item.name.toLowerCase() &&
+      (holidayFallsOn(holiday, parseBusinessDate(item.date)) || holidayFallsOn(item, holiday.date));
+    if (existing.some(sameHoliday) || seen.some(sameHoliday)) {
+      return { ...item, status: 'duplicate', problem: 'A holiday with this name already exists on this date' };
+    }
+
+    seen.push(item);
+    return item;
+  });
+};
+
+const summarizeImport = (items) => ({
+  total: items.length,
+  toCreate: items.filter(item => item.status === 'new').length,
+  duplicates: items.filter(item => item.status === 'duplicate').length,
+  invalid: items.filter(item => item.status === 'invalid').length
+});
+
+// @desc    Preview the holidays an .ics file would create
+// @route   POST /api/holidays/import/preview
+// @access  Admin
+export const previewHolidayImport = async (req, res) => {
+  try {
+    const calendar = readCalendar(req);
+    if (!calendar) {
+      return res.status(400).json({ message: 'Please send an iCalendar (.ics) file' });
+    }
+
+    const items = await planHolidayImport(parseICS(calendar));
+
+    res.json({ ...summarizeImport(items), events: items });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create holidays from an .ics file, skipping duplicates
+// @route   POST /api/holidays/import
+// @access  Admin
+export const importHolidays = async (req, res) => {
+  try {
+    const calendar = readCalendar(req);
+    if (!calendar) {
+      return res.status(400).json({ message: 'Please send an iCalendar (.ics) file' });
+    }
+
+    const items = await planHolidayImport(parseICS(calendar));
+    const created = [];
+    const skipped = items.filter(item => item.status !== 'new');
+
+    for (const item of items.filter(item => item.status === 'new')) {
+      const holiday = new Holiday({
+        date: parseBusinessDate(item.date),
+        name: item.name,
+        reason: item.reason,
+        isRecurringYearly: item.isRecurringYearly,
+        recurrence: item.recurrence
+          ? { ...item.recurrence, until: item.recurrence.until && parseBusinessDate(item.recurrence.until) }
+          : undefined
+      });
+
+      try {
+        await holiday.validate();
+        const { invoiced, reconciliation } = await saveNewHoliday(holiday, req.admin?._id);
+        if (invoiced) {
+          skipped.push({ ...item, status: 'invoiced', problem: 'Records on this date are already invoiced', invoiced });
+        } else {
+          created.push({ ...holiday.toJSON(), reconciliation });
+        }
+      } catch (error) {
+        skipped.push({ ...item, status: 'invalid', problem: error.message });
+      }
+    }
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      ...summarizeImport(items),
+      created,
+      skipped
     });
-    
-    // Combine and sort all holidays for the year
-    const allHolidays = [...nonRecurringHolidays, ...yearlyRecurringHolidays]
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    res.json(allHolidays);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+// @desc    iCalendar feed of upcoming holidays, with recurring holidays
+//          expanded, for staff to subscribe to
+// @route   GET /api/holidays/feed.ics?days=365
+// @access  Public
+export const getHolidayFeed = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 365, 1), 1095);
+    const start = businessToday();
+    const end = addBusinessDays(start, days);
+
+    const { occurrences } = await loadHolidayCalendar(start, addBusinessDays(end, -1));
+
+    const events = occurrences
+      .map(({ holiday, date }) => ({
+        uid: `${holiday._id}-${formatBusinessDate(date)}@dairy-holidays`,
+        date: formatBusinessDate(date),
+        summary: holiday.slot && holiday.slot !== 'both'
+          ? `${holiday.name} (no ${holiday.slot} delivery)`
+          : holiday.name,
+        description: holiday.reason
+      }));
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename=holidays.ics');
+    res.send(buildICS(events, { name: 'Dairy holidays' }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
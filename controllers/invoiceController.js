@@ -7,11 +7,19 @@ import PDFDocument from 'pdfkit';
 import QRCode from 'qrcode';
 import { registerFonts } from '../config/fonts.js';
 import Category from '../models/Category.js';
+import {
+    DAIRY_TIMEZONE,
+    dairyMoment,
+    startOfBusinessDay,
+    addBusinessDays,
+    monthRange,
+    yearRange
+} from '../utils/businessDate.js';
 
 const generateInvoiceNumber = async () => {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const date = dairyMoment();
+    const year = date.format('YY');
+    const month = date.format('MM');
 
     // Find the latest invoice to increment the counter
     const latestInvoice = await Invoice.findOne({}, {}, { sort: { 'createdAt': -1 } });
@@ -46,13 +54,13 @@ export const checkExistingInvoice = async (req, res) => {
         }
 
         // Calculate start and end dates for the month
-        const startDate = new Date(yearNum, monthNum - 1, 1);
-        const endDate = new Date(yearNum, monthNum, 0); // Last day of the month
+        const { start: startDate, end: monthEnd } = monthRange(yearNum, monthNum);
+        const endDate = startOfBusinessDay(monthEnd); // Last day of the month
 
         // Check if invoice already exists for this period
         const existingInvoice = await Invoice.findOne({
             customer: customerId,
-            startDate: { $lte: endDate },
+            startDate: { $lte: monthEnd },
             endDate: { $gte: startDate },
         }).populate('customer', 'name customerNo');
 
@@ -87,14 +95,14 @@ export const generateCustomerMonthlyInvoice = async (req, res) => {
             return res.status(400).json({ message: 'Month and year are required' });
         }
 
-        const currentDate = new Date();
-        const currentMonth = currentDate.getMonth() + 1;
-        const currentYear = currentDate.getFullYear();
+        const currentDate = dairyMoment();
+        const currentMonth = currentDate.month() + 1;
+        const currentYear = currentDate.year();
         const isCurrentMonth = parseInt(month) === currentMonth && parseInt(year) === currentYear;
 
         // Get the last day of the month
-        const lastDayOfMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
-        const currentDay = currentDate.getDate();
+        const lastDayOfMonth = currentDate.daysInMonth();
+        const currentDay = currentDate.date();
 
         // If it's current month and not the last 3 days, prevent generation
         if (isCurrentMonth && currentDay < lastDayOfMonth - 2) {
@@ -112,13 +120,13 @@ export const generateCustomerMonthlyInvoice = async (req, res) => {
         }
 
         // Calculate start and end dates for the month
-        const startDate = new Date(yearNum, monthNum - 1, 1);
-        const endDate = new Date(yearNum, monthNum, 0); // Last day of the month
+        const { start: startDate, end: monthEnd } = monthRange(yearNum, monthNum);
+        const endDate = startOfBusinessDay(monthEnd); // Last day of the month
 
         // Check if invoice already exists for this period
         const existingInvoice = await Invoice.findOne({
             customer: id,
-            startDate: { $lte: new Date(new Date(endDate).setDate(new Date(endDate).getDate() + 1)) },
+            startDate: { $lte: monthEnd },
             endDate: { $gte: startDate },
         });
 
@@ -143,7 +151,7 @@ export const generateCustomerMonthlyInvoice = async (req, res) => {
             customer: id,
             date: {
                 $gte: startDate,
-                $lte: new Date(new Date(endDate).setDate(new Date(endDate).getDate() + 1)),
+                $lte: monthEnd,
             },
         }).sort({ date: 1 });
 
@@ -182,14 +190,17 @@ export const generateCustomerMonthlyInvoice = async (req, res) => {
             // Update the end date to current calculation
             existingInvoice.endDate = endDate;
 
+            // The invoice now matches its records again
+            existingInvoice.needsRegeneration = false;
+            existingInvoice.regenerationReason = undefined;
+
             invoice = await existingInvoice.save();
         } else {
             // Create new invoice
             const invoiceNumber = await generateInvoiceNumber();
 
             // Set due date (e.g., 15 days from end of month)
-            const dueDate = new Date(endDate);
-            dueDate.setDate(dueDate.getDate() + 15);
+            const dueDate = addBusinessDays(endDate, 15);
 
             // Apply customer advance to new invoice
             let dueAmount = totalAmount;
@@ -249,7 +260,7 @@ export const generateCustomerMonthlyInvoice = async (req, res) => {
             await invoice.save();
         }
 
-        return res.status(existingInvoice ? 200 : 201).json({ ...invoice.toObject(), advanceUsed });
+        return res.status(existingInvoice ? 200 : 201).json({ ...invoice.toJSON(), advanceUsed });
     } catch (error) {
         return res.status(500).json({ message: error.message });
     }
@@ -266,14 +277,14 @@ export const generateBatchMonthlyInvoices = async (req, res) => {
             return res.status(400).json({ message: 'Month and year are required' });
         }
 
-        const currentDate = new Date();
-        const currentMonth = currentDate.getMonth() + 1;
-        const currentYear = currentDate.getFullYear();
+        const currentDate = dairyMoment();
+        const currentMonth = currentDate.month() + 1;
+        const currentYear = currentDate.year();
         const isCurrentMonth = parseInt(month) === currentMonth && parseInt(year) === currentYear;
 
         // Get the last day of the month
-        const lastDayOfMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
-        const currentDay = currentDate.getDate();
+        const lastDayOfMonth = currentDate.daysInMonth();
+        const currentDay = currentDate.date();
 
         // If it's current month and not the last 3 days, prevent generation
         if (isCurrentMonth && currentDay < lastDayOfMonth - 2) {
@@ -291,8 +302,8 @@ export const generateBatchMonthlyInvoices = async (req, res) => {
         }
 
         // Calculate start and end dates for the month
-        const startDate = new Date(yearNum, monthNum - 1, 1);
-        const endDate = new Date(yearNum, monthNum, 0); // Last day of the month
+        const { start: startDate, end: monthEnd } = monthRange(yearNum, monthNum);
+        const endDate = startOfBusinessDay(monthEnd); // Last day of the month
 
         console.log(startDate, endDate);
 
@@ -311,7 +322,7 @@ export const generateBatchMonthlyInvoices = async (req, res) => {
                 // Check if invoice already exists for this customer and period
                 const existingInvoice = await Invoice.findOne({
                     customer: customer._id,
-                    startDate: { $lte: endDate },
+                    startDate: { $lte: monthEnd },
                     endDate: { $gte: startDate },
                 });
 
@@ -330,7 +341,7 @@ export const generateBatchMonthlyInvoices = async (req, res) => {
                     customer: customer._id,
                     date: {
                         $gte: startDate,
-                        $lte: endDate,
+                        $lte: monthEnd,
                     },
                 }).sort({ date: 1 });
 
@@ -373,6 +384,10 @@ export const generateBatchMonthlyInvoices = async (req, res) => {
                     // Update the end date to current calculation
                     existingInvoice.endDate = endDate;
 
+                    // The invoice now matches its records again
+                    existingInvoice.needsRegeneration = false;
+                    existingInvoice.regenerationReason = undefined;
+
                     invoice = await existingInvoice.save();
 
                     results.updated.push({
@@ -387,8 +402,7 @@ export const generateBatchMonthlyInvoices = async (req, res) => {
                     const invoiceNumber = await generateInvoiceNumber();
 
                     // Set due date (e.g., 15 days from end of month)
-                    const dueDate = new Date(endDate);
-                    dueDate.setDate(dueDate.getDate() + 15);
+                    const dueDate = addBusinessDays(endDate, 15);
 
                     // Apply customer advance to new invoice
                     let dueAmount = totalAmount;
@@ -492,6 +506,7 @@ export const getInvoices = async (req, res) => {
             status,
             month,
             year,
+            needsRegeneration,
         } = req.query;
 
         const query = {};
@@ -505,16 +520,19 @@ export const getInvoices = async (req, res) => {
             query.status = status;
         }
 
+        if (needsRegeneration !== undefined) {
+            // Invoices from before the flag existed have no value
+            query.needsRegeneration = needsRegeneration === 'true' ? true : { $ne: true };
+        }
+
         // Fixed month/year filtering
         if (month || year) {
-            const currentDate = new Date();
-            const filterYear = year ? parseInt(year) : currentDate.getFullYear();
+            const filterYear = year ? parseInt(year) : dairyMoment().year();
             const filterMonth = month ? parseInt(month) : null;
 
             if (filterMonth) {
                 // Specific month and year
-                const startDate = new Date(filterYear, filterMonth - 1, 1);
-                const endDate = new Date(filterYear, filterMonth, 0);
+                const { start: startDate, end: endDate } = monthRange(filterYear, filterMonth);
 
                 // Match invoices that overlap with the selected month
                 query.$and = [
@@ -523,8 +541,7 @@ export const getInvoices = async (req, res) => {
                 ];
             } else {
                 // Only year specified, get all invoices for that year
-                const yearStart = new Date(filterYear, 0, 1);
-                const yearEnd = new Date(filterYear, 11, 31);
+                const { start: yearStart, end: yearEnd } = yearRange(filterYear);
 
                 query.$and = [
                     { startDate: { $lte: yearEnd } },
@@ -807,8 +824,7 @@ export const getInvoiceDashboard = async (req, res) => {
         ]);
 
         // Monthly breakdown for the past 6 months
-        const now = new Date();
-        const sixMonthsAgo = new Date(now.getFullYear(), now.getMonth() - 5, 1);
+        const sixMonthsAgo = dairyMoment().subtract(5, 'months').startOf('month').toDate();
 
         const monthlyData = await Invoice.aggregate([
             {
@@ -819,8 +835,8 @@ export const getInvoiceDashboard = async (req, res) => {
             {
                 $group: {
                     _id: {
-                        year: { $year: '$createdAt' },
-                        month: { $month: '$createdAt' }
+                        year: { $year: { date: '$createdAt', timezone: DAIRY_TIMEZONE } },
+                        month: { $month: { date: '$createdAt', timezone: DAIRY_TIMEZONE } }
                     },
                     totalAmount: { $sum: '$totalAmount' },
                     paidAmount: { $sum: '$amountPaid' },
@@ -903,6 +919,16 @@ const toGujaratiNumber = (num) => {
     ).join('');
 };
 
+// Column name on the dairy form for a (populated) milk type: cow and
+// buffalo milk use their Gujarati names, other products their own name
+const getFormMilkType = (milkType) => {
+    if (!milkType || typeof milkType !== 'object' || !milkType.name) return 'ગાય';
+    const typeNameLower = milkType.name.toLowerCase().replace(/\s/g, '');
+    if (typeNameLower.includes('cow') || typeNameLower.includes('ગાય')) return 'ગાય';
+    if (typeNameLower.includes('buffalo') || typeNameLower.includes('ભેસ')) return 'ભેસ';
+    return milkType.name;
+};
+
 const getGujaratiMonth = (month) => {
     const months = [
         'જાન્યુઆરી', 'ફેબ્રુઆરી', 'માર્ચ', 'એપ્રિલ', 'મે', 'જૂન',
@@ -996,59 +1022,49 @@ export const generateDairyFormPDF = async (invoiceData, outputStream, options =
         doc.text(customerName, 120, 135);
 
         // Extract data from invoice
-        const startDate = new Date(invoiceData.startDate);
-        const monthText = getGujaratiMonth(startDate.getMonth() + 1);
-        const yearText = startDate.getFullYear();
-
-        // Get all milk types and their prices from customer's deliverySchedule
-        const milkTypes = new Map(); // Map to store unique milk types with their prices
-
-        if (mergedOptions.customer && mergedOptions.customer.deliverySchedule) {
-            mergedOptions.customer.deliverySchedule.forEach(delivery => {
-                delivery.milkItems.forEach(milkItem => {
-                    let typeName = '';
-                    let rawName = '';
-                    if (milkItem.milkType && typeof milkItem.milkType === 'object' && milkItem.milkType.name) {
-                        rawName = milkItem.milkType.name;
-                        const typeNameLower = rawName.toLowerCase().trim();
-                        if (
-                            typeNameLower.includes('cow') || typeNameLower.includes('ગાય')
-                        ) {
-                            typeName = 'ગાય';
-                        } else if (
-                            typeNameLower.includes('buffalo') || typeNameLower.includes('ભેસ')
-                        ) {
-                            typeName = 'ભેસ';
-                        } else {
-                            typeName = rawName; // fallback
-                        }
-                    } else {
-                        typeName = 'ગાય'; // Default
+        const startDate = dairyMoment(invoiceData.startDate);
+        const monthText = getGujaratiMonth(startDate.month() + 1);
+        const yearText = startDate.year();
+
+        // Milk type columns, rates and daily quantities all come from the
+        // invoiced lines, so extra products get a column and the form adds
+        // up to the invoice. Several lines of one type in a slot are summed.
+        const rates = new Map(); // column name -> { price, isExtra }
+        const dayData = Array(31).fill(null).map(() => ({ morning: {}, evening: {} }));
+        invoiceData.items.forEach(item => {
+            const day = dairyMoment(item.date).date();
+            (item.deliverySchedule || []).forEach(delivery => {
+                const time = delivery.time;
+                (delivery.milkItems || []).forEach(milkItem => {
+                    const typeName = getFormMilkType(milkItem.milkType);
+
+                    // Prefer the regular rate over an extra order's
+                    const rate = rates.get(typeName);
+                    if (!rate || (rate.isExtra && !milkItem.isExtra)) {
+                        rates.set(typeName, { price: milkItem.pricePerUnit, isExtra: Boolean(milkItem.isExtra) });
                     }
-                    // Store the milk type with its price (use the first occurrence's price)
-                    if (!milkTypes.has(typeName)) {
-                        milkTypes.set(typeName, milkItem.pricePerUnit);
+
+                    if (day > 0 && day <= 31 && (time === 'morning' || time === 'evening')) {
+                        const cells = dayData[day - 1][time];
+                        cells[typeName] = (cells[typeName] || 0) + milkItem.quantity;
                     }
                 });
             });
-        }
+        });
+
+        // Cow and buffalo columns are always printed, other products after them
+        const milkTypesOrder = ['ગાય', 'ભેસ', ...[...rates.keys()].filter(name => name !== 'ગાય' && name !== 'ભેસ')];
 
         // If no milk types found, use default
-        if (milkTypes.size === 0) {
-            milkTypes.set('ગાય', 60); // Default price
+        if (rates.size === 0) {
+            rates.set('ગાય', { price: 60 }); // Default price
         }
 
         // Create price display string in Gujarati with proper spacing
-        let priceDisplay = '';
-        if (milkTypes.size === 1) {
-            const [typeName, price] = milkTypes.entries().next().value;
-            priceDisplay = `${typeName}:\u00A0${toGujaratiNumber(price)} રૂ.`;
-        } else {
-            const priceStrings = Array.from(milkTypes.entries()).map(
-                ([typeName, price]) => `${typeName}:\u00A0${toGujaratiNumber(price)} રૂ.`
-            );
-            priceDisplay = priceStrings.join(', ');
-        }
+        const priceDisplay = milkTypesOrder
+            .filter(typeName => rates.has(typeName))
+            .map(typeName => `${typeName}:\u00A0${toGujaratiNumber(rates.get(typeName).price)} રૂ.`)
+            .join(', ');
 
 
         // Month/Rate/Place (moved down to give space for customer name)
@@ -1073,14 +1089,14 @@ export const generateDairyFormPDF = async (invoiceData, outputStream, options =
         const tableWidth = doc.page.width - marginLeft - marginRight;
         const startY = 195; // Moved down from 175 to 195
 
-        // Each block: 1 date + 2 (સવાર) + 2 (સાંજ) = 5 columns per block, but for 10 days per row, we need to repeat
-        // For 1-10, 11-20, 21-30 (3 blocks)
+        // Each block: 1 date column, then one column per milk type under
+        // સવાર and again under સાંજ. For 1-10, 11-20, 21-30 (3 blocks)
         const blockCount = 3;
-        const daysPerBlock = 10;
-        const milkTypesOrder = ['ગાય', 'ભેસ'];
-        const columnsPerBlock = 1 + 2 * 2; // 1 (date) + 2 (સવાર) + 2 (સાંજ)
-        const totalColumns = blockCount * 5; // 5 columns per block
+        const slots = [{ time: 'morning', label: 'સવાર' }, { time: 'evening', label: 'સાંજ' }];
+        const columnsPerBlock = 1 + slots.length * milkTypesOrder.length;
+        const totalColumns = blockCount * columnsPerBlock;
         const columnWidth = tableWidth / totalColumns;
+        const slotWidth = columnWidth * milkTypesOrder.length;
         const headerHeight = 20;
         const subHeaderHeight = 18;
         const rowHeight = 24;
@@ -1094,16 +1110,13 @@ export const generateDairyFormPDF = async (invoiceData, outputStream, options =
             doc.font('Gujarati').fontSize(11).fillColor('black');
             doc.text('તા.', x, y + 8, { width: columnWidth, align: 'center' });
             x += columnWidth;
-            // 'સવાર' colspan=2
-            doc.rect(x, y, columnWidth * 2, headerHeight).stroke();
-            doc.font('Gujarati').fontSize(11).fillColor('black');
-            doc.text('સવાર', x, y + 4, { width: columnWidth * 2, align: 'center' });
-            x += columnWidth * 2;
-            // 'સાંજ' colspan=2
-            doc.rect(x, y, columnWidth * 2, headerHeight).stroke();
-            doc.font('Gujarati').fontSize(11).fillColor('black');
-            doc.text('સાંજ', x, y + 4, { width: columnWidth * 2, align: 'center' });
-            x += columnWidth * 2;
+            // 'સવાર' and 'સાંજ' span their milk type columns
+            slots.forEach(({ label }) => {
+                doc.rect(x, y, slotWidth, headerHeight).stroke();
+                doc.font('Gujarati').fontSize(11).fillColor('black');
+                doc.text(label, x, y + 4, { width: slotWidth, align: 'center' });
+                x += slotWidth;
+            });
         }
         // Draw sub-header row (milk types)
         y += headerHeight;
@@ -1112,115 +1125,47 @@ export const generateDairyFormPDF = async (invoiceData, outputStream, options =
             // Date column (empty)
             doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
             x += columnWidth;
-            // 'ગાય' and 'ભેસ' under 'સવાર'
-            for (let i = 0; i < 2; i++) {
-                doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
-                doc.font('Gujarati').fontSize(10).fillColor('black');
-                doc.text(milkTypesOrder[i], x, y + 3, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-            }
-            // 'ગાય' and 'ભેસ' under 'સાંજ'
-            for (let i = 0; i < 2; i++) {
-                doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
-                doc.font('Gujarati').fontSize(10).fillColor('black');
-                doc.text(milkTypesOrder[i], x, y + 3, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-            }
+            slots.forEach(() => {
+                milkTypesOrder.forEach(typeName => {
+                    doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
+                    doc.font('Gujarati').fontSize(10).fillColor('black');
+                    doc.text(typeName, x, y + 3, { width: columnWidth, align: 'center' });
+                    x += columnWidth;
+                });
+            });
         }
-        // Prepare data arrays for each day and milk type
-        // Structure: [ [morningCow, morningBuffalo, eveningCow, eveningBuffalo], ... ]
-        const dayData = Array(31).fill(null).map(() => ({
-            morning: { 'ગાય': '', 'ભેસ': '' },
-            evening: { 'ગાય': '', 'ભેસ': '' }
-        }));
-        // Fill the arrays with actual data from invoice items
-        invoiceData.items.forEach(item => {
-            const day = new Date(item.date).getDate();
-            if (day > 0 && day <= 31) {
-                if (item.deliverySchedule) {
-                    item.deliverySchedule.forEach(delivery => {
-                        const time = delivery.time;
-                        if (delivery.milkItems && Array.isArray(delivery.milkItems)) {
-                            delivery.milkItems.forEach(milkItem => {
-                                let typeName = '';
-                                if (milkItem.milkType && typeof milkItem.milkType === 'object' && milkItem.milkType.name) {
-                                    const typeNameLower = milkItem.milkType.name.toLowerCase().replace(/\s/g, '');
-                                    if (typeNameLower.includes('cow') || typeNameLower.includes('ગાય')) {
-                                        typeName = 'ગાય';
-                                    } else if (typeNameLower.includes('buffalo') || typeNameLower.includes('ભેસ')) {
-                                        typeName = 'ભેસ';
-                                    } else {
-                                        typeName = milkItem.milkType.name;
-                                    }
-                                } else {
-                                    typeName = 'ગાય';
-                                }
-                                if (milkTypesOrder.includes(typeName) && (time === 'morning' || time === 'evening')) {
-                                    dayData[day - 1][time][typeName] = toGujaratiNumber(milkItem.quantity);
-                                    // Debug log
-                                }
-                            });
-                        }
-                    });
-                }
+
+        // Draw one day's cells from x, leaving them empty when show is false
+        const drawDay = (dayNum, show) => {
+            doc.rect(x, y, columnWidth, rowHeight).stroke();
+            if (show) {
+                doc.font('Gujarati').fontSize(10).fillColor('black');
+                doc.text(toGujaratiNumber(dayNum), x, y + 7, { width: columnWidth, align: 'center' });
             }
-        });
+            x += columnWidth;
+            slots.forEach(({ time }) => {
+                milkTypesOrder.forEach(typeName => {
+                    doc.rect(x, y, columnWidth, rowHeight).stroke();
+                    const quantity = show ? dayData[dayNum - 1][time][typeName] : 0;
+                    if (quantity) doc.text(toGujaratiNumber(Math.round(quantity * 1000) / 1000), x, y + 7, { width: columnWidth, align: 'center' });
+                    x += columnWidth;
+                });
+            });
+        };
+
         // Draw data rows (10 rows with numbers 1-10, 11-20, 21-30)
         y += subHeaderHeight;
         for (let row = 0; row < 10; row++) {
             x = marginLeft;
             for (let block = 0; block < blockCount; block++) {
-                const dayNum = row + 1 + block * 10;
-                // Date cell
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) {
-                    doc.font('Gujarati').fontSize(10).fillColor('black');
-                    doc.text(toGujaratiNumber(dayNum), x, y + 7, { width: columnWidth, align: 'center' });
-                }
-                x += columnWidth;
-                // Morning: ગાય
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].morning['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-                // Morning: ભેસ
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].morning['ભેસ'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-                // Evening: ગાય
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].evening['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-                // Evening: ભેસ
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].evening['ભેસ'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
+                drawDay(row + 1 + block * 10, true);
             }
             y += rowHeight;
         }
         // Add row for day 31
         x = marginLeft;
         for (let block = 0; block < blockCount; block++) {
-            const dayNum = 31;
-            // Date cell
-            doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(toGujaratiNumber(dayNum), x, y + 7, { width: columnWidth, align: 'center' });
-            x += columnWidth;
-            // Morning: ગાય
-            doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].morning['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
-            x += columnWidth;
-            // Morning: ભેસ
-            doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].morning['ભેસ'], x, y + 7, { width: columnWidth, align: 'center' });
-            x += columnWidth;
-            // Evening: ગાય
-            doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].evening['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
-            x += columnWidth;
-            // Evening: ભેસ
-            doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].evening['ભેસ'], x, y + 7, { width: columnWidth, align: 'center' });
-            x += columnWidth;
+            drawDay(31, block === 2);
         }
         y += rowHeight;
 
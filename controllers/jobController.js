@@ -0,0 +1,96 @@
+import JobRun from '../models/JobRun.js';
+import { getJobs, isJob, runJob } from '../utils/jobRunner.js';
+
+// Create a wrapper to handle errors in async functions
+const tryCatch = (controller) => async (req, res, next) => {
+  try {
+    await controller(req, res);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: error.message || "Server Error",
+    });
+  }
+};
+
+// @desc    List available jobs with their latest run
+// @route   GET /api/jobs
+// @access  Private/Admin
+const listJobs = tryCatch(async (req, res) => {
+  const jobs = await Promise.all(getJobs().map(async job => ({
+    ...job,
+    lastRun: await JobRun.findOne({ job: job.name }).sort({ startedAt: -1 })
+  })));
+
+  res.json(jobs);
+});
+
+// @desc    Get job run history
+// @route   GET /api/jobs/runs
+// @access  Private/Admin
+const getJobRuns = tryCatch(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { job, status, trigger } = req.query;
+
+  const conditions = {};
+  if (job) conditions.job = job;
+  if (status) conditions.status = status;
+  if (trigger) conditions.trigger = trigger;
+
+  const [total, runs] = await Promise.all([
+    JobRun.countDocuments(conditions),
+    JobRun.find(conditions)
+      .select('-result')
+      .populate('triggeredBy', 'username')
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({
+    runs,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalRuns: total
+  });
+});
+
+// @desc    Get a single job run with its full result
+// @route   GET /api/jobs/runs/:id
+// @access  Private/Admin
+const getJobRunById = tryCatch(async (req, res) => {
+  const run = await JobRun.findById(req.params.id).populate('triggeredBy', 'username');
+
+  if (!run) {
+    return res.status(404).json({ message: "Job run not found" });
+  }
+
+  res.json(run);
+});
+
+// @desc    Trigger a job manually
+// @route   POST /api/jobs/:name/run
+// @access  Private/Admin
+const triggerJob = tryCatch(async (req, res) => {
+  const { name } = req.params;
+
+  if (!isJob(name)) {
+    return res.status(404).json({ message: `Unknown job: ${name}` });
+  }
+
+  const run = await runJob(name, {
+    trigger: 'manual',
+    triggeredBy: req.admin._id,
+    params: req.body.params || {}
+  });
+
+  res.status(run.status === 'failed' ? 500 : 201).json(run);
+});
+
+export {
+  listJobs,
+  getJobRuns,
+  getJobRunById,
+  triggerJob
+};
@@ -0,0 +1,258 @@
+import Customer from '../models/Customer.js';
+import Category from '../models/Category.js';
+import Subcategory from '../models/Subcategory.js';
+import { toId, getScheduleForDate } from '../utils/deliveryPlanner.js';
+import { parseBusinessDate, formatBusinessDate, today } from '../utils/businessDate.js';
+
+// Create a wrapper to handle errors in async functions
+const tryCatch = (controller) => async (req, res, next) => {
+  try {
+    await controller(req, res);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: error.message || "Server Error",
+    });
+  }
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Validate the revision request and load the subcategories it covers
+const parseRevision = async (body) => {
+  const { category, subcategory, changeType, amount, effectiveFrom, note } = body;
+
+  if (!category && !subcategory) {
+    throw httpError(400, 'Please provide a category or a subcategory');
+  }
+
+  if (!['absolute', 'percentage'].includes(changeType)) {
+    throw httpError(400, 'Change type must be either absolute or percentage');
+  }
+
+  if (amount === undefined || amount === '' || isNaN(Number(amount))) {
+    throw httpError(400, 'Please provide the amount of the change');
+  }
+
+  const date = effectiveFrom ? parseBusinessDate(effectiveFrom) : today();
+  if (!date) {
+    throw httpError(400, 'Invalid effective date format. Please use YYYY-MM-DD format');
+  }
+
+  let subcategories;
+  if (subcategory) {
+    subcategories = await Subcategory.find({ _id: subcategory });
+    if (subcategories.length === 0) {
+      throw httpError(404, 'Subcategory not found');
+    }
+  } else {
+    if (!(await Category.exists({ _id: category }))) {
+      throw httpError(404, 'Category not found');
+    }
+    subcategories = await Subcategory.find({ category });
+  }
+
+  return {
+    changeType,
+    amount: Number(amount),
+    effectiveFrom: date,
+    note,
+    subcategories
+  };
+};
+
+// Apply the change to a price
+const revisePrice = (price, { changeType, amount }) => roundPrice(
+  changeType === 'percentage' ? price * (1 + amount / 100) : price + amount
+);
+
+// Work out the new list prices and the customer schedules the revision
+// changes. Nothing is saved.
+const planRevision = async (revision) => {
+  const { effectiveFrom, subcategories } = revision;
+
+  const prices = subcategories.map(subcategory => {
+    const oldPrice = subcategory.getPriceOn(effectiveFrom);
+    return {
+      subcategory: subcategory._id,
+      name: subcategory.name,
+      oldPrice,
+      newPrice: revisePrice(oldPrice, revision)
+    };
+  });
+
+  const negative = prices.find(price => price.newPrice < 0);
+  if (negative) {
+    throw httpError(400, `The change would make the price of ${negative.name} negative`);
+  }
+
+  const subcategoryIds = new Set(prices.map(price => price.subcategory.toString()));
+  const customers = await Customer.find({
+    $or: [
+      { 'deliverySchedule.milkItems.subcategory': { $in: [...subcategoryIds] } },
+      { 'scheduleRevisions.deliverySchedule.milkItems.subcategory': { $in: [...subcategoryIds] } }
+    ]
+  }).sort({ customerNo: 1 });
+
+  const changes = [];
+  for (const customer of customers) {
+    const schedule = getScheduleForDate(customer, effectiveFrom)
+      .map(delivery => delivery.toObject());
+
+    const items = [];
+    let customRates = 0;
+
+    schedule.forEach(delivery => {
+      delivery.milkItems.forEach(item => {
+        if (!subcategoryIds.has(toId(item.subcategory))) return;
+
+        // Negotiated rates are left as they are
+        if (item.isCustomRate) {
+          customRates++;
+          return;
+        }
+
+        const newPrice = revisePrice(item.pricePerUnit, revision);
+        items.push({
+          time: delivery.time,
+          subcategory: item.subcategory,
+          quantity: item.quantity,
+          oldPrice: item.pricePerUnit,
+          newPrice
+        });
+        item.pricePerUnit = newPrice;
+        item.totalPrice = item.quantity * newPrice;
+      });
+      delivery.totalPrice = delivery.milkItems.reduce((sum, item) => sum + item.totalPrice, 0);
+    });
+
+    if (items.length === 0 && customRates === 0) continue;
+
+    const oldDailyTotal = getScheduleForDate(customer, effectiveFrom)
+      .reduce((sum, delivery) => sum + delivery.totalPrice, 0);
+
+    changes.push({
+      customer,
+      schedule,
+      items,
+      customRates,
+      oldDailyTotal,
+      newDailyTotal: schedule.reduce((sum, delivery) => sum + delivery.totalPrice, 0)
+    });
+  }
+
+  return { prices, changes };
+};
+
+// The first subcategory whose price list already has this revision from
+// its effective date, or undefined. Applying it again would compound the
+// change on prices and customer rates.
+const findAppliedRevision = ({ subcategories, effectiveFrom, changeType, amount }) =>
+  subcategories.find(subcategory => subcategory.priceHistory.some(entry =>
+    entry.effectiveFrom.getTime() === effectiveFrom.getTime() &&
+    entry.revision?.changeType === changeType &&
+    entry.revision?.amount === amount
+  ));
+
+// Summary of a planned revision for the response
+const describeRevision = (revision, { prices, changes }) => {
+  const changed = changes.filter(change => change.items.length > 0);
+
+  return {
+    changeType: revision.changeType,
+    amount: revision.amount,
+    effectiveFrom: formatBusinessDate(revision.effectiveFrom),
+    prices,
+    totalCustomers: changed.length,
+    keptCustomRates: changes.reduce((sum, change) => sum + change.customRates, 0),
+    oldDailyTotal: changed.reduce((sum, change) => sum + change.oldDailyTotal, 0),
+    newDailyTotal: changed.reduce((sum, change) => sum + change.newDailyTotal, 0),
+    customers: changes.map(change => ({
+      _id: change.customer._id,
+      customerNo: change.customer.customerNo,
+      name: change.customer.name,
+      items: change.items,
+      keptCustomRates: change.customRates,
+      oldDailyTotal: change.oldDailyTotal,
+      newDailyTotal: change.newDailyTotal
+    }))
+  };
+};
+
+// @desc    Preview a bulk price revision without saving anything
+// @route   POST /api/price-revisions/preview
+// @access  Private/Admin
+const previewPriceRevision = tryCatch(async (req, res) => {
+  const revision = await parseRevision(req.body);
+  const plan = await planRevision(revision);
+
+  res.json({
+    dryRun: true,
+    alreadyApplied: Boolean(findAppliedRevision(revision)),
+    ...describeRevision(revision, plan)
+  });
+});
+
+// @desc    Apply a bulk price revision to price lists and customer schedules
+// @route   POST /api/price-revisions
+// @access  Private/Admin
+const applyPriceRevision = tryCatch(async (req, res) => {
+  if (req.body.confirm !== true) {
+    throw httpError(400, 'Preview the revision first, then send confirm: true to apply it');
+  }
+
+  const revision = await parseRevision(req.body);
+  const applied = findAppliedRevision(revision);
+  if (applied) {
+    throw httpError(409, `This revision has already been applied to ${applied.name} from ${formatBusinessDate(revision.effectiveFrom)}`);
+  }
+
+  const plan = await planRevision(revision);
+  const note = revision.note || `Price revision (${revision.changeType} ${revision.amount})`;
+  const createdBy = req.admin?._id;
+  const { changeType, amount } = revision;
+
+  // New list prices from the effective date, marked with the revision so it
+  // cannot be applied twice
+  for (const subcategory of revision.subcategories) {
+    const price = plan.prices.find(p => p.subcategory.toString() === subcategory._id.toString());
+    subcategory.setPriceFrom(price.newPrice, revision.effectiveFrom, { note, createdBy, revision: { changeType, amount } });
+    await subcategory.save();
+  }
+
+  // Customer schedules change from the same date; revisions that start
+  // later are repriced as well so they do not bring the old rate back
+  const failures = [];
+  for (const change of plan.changes) {
+    if (change.items.length === 0) continue;
+
+    const { customer } = change;
+    try {
+      customer.scheduleRevisions
+        .filter(r => r.effectiveFrom > revision.effectiveFrom)
+        .forEach(r => r.deliverySchedule.forEach(delivery => delivery.milkItems.forEach(item => {
+          if (!item.isCustomRate && change.items.some(i => toId(i.subcategory) === toId(item.subcategory))) {
+            item.pricePerUnit = revisePrice(item.pricePerUnit, revision);
+          }
+        })));
+
+      customer.reviseSchedule(change.schedule, revision.effectiveFrom, { note, createdBy });
+      await customer.saveScheduleChanges();
+    } catch (error) {
+      failures.push({ customer: customer._id, name: customer.name, message: error.message });
+    }
+  }
+
+  res.json({
+    dryRun: false,
+    ...describeRevision(revision, plan),
+    failures
+  });
+});
+
+export { previewPriceRevision, applyPriceRevision };
@@ -1,5 +1,40 @@
+import mongoose from 'mongoose';
 import QuantityUpdate from '../models/QuantityUpdate.js';
 import Customer from '../models/Customer.js';
+import {
+  getCutoffSettings,
+  getChangeCutoff,
+  getNextSlot,
+  describeCutoff
+} from '../utils/changeCutoff.js';
+import { isScheduledOn, getScheduledQuantity, getScheduleForDate } from '../utils/deliveryPlanner.js';
+import { adjustRecordsForUpdates, restoreRecordsForUpdates } from '../utils/quantityUpdateApplier.js';
+import { getQuantityUpdatePolicy, isAppliedUpdate } from '../utils/quantityUpdatePolicy.js';
+import {
+  parseBusinessDate,
+  formatBusinessDate,
+  addBusinessDays,
+  businessDaysBetween,
+  businessDayQuery,
+  businessRangeQuery
+} from '../utils/businessDate.js';
+
+// How many following slots a late change may be deferred across
+const MAX_DEFER_SLOTS = 4;
+
+// Longest date range one change request may cover
+const MAX_RANGE_DAYS = 62;
+
+// Find a milk item in one of the customer's (populated) delivery slots,
+// using the schedule in force on the given date
+const findMilkItem = (customer, date, time, milkType, subcategory) => {
+  const delivery = getScheduleForDate(customer, date).find(d => d.time === time);
+  const milkItem = delivery?.milkItems.find(item =>
+    item.milkType && item.milkType._id.toString() === milkType &&
+    item.subcategory && item.subcategory._id.toString() === subcategory
+  );
+  return { delivery, milkItem };
+};
 
 const updateCustomerQuantity = async (req, res) => {
   try {
@@ -13,10 +48,20 @@ const updateCustomerQuantity = async (req, res) => {
       });
     }
 
+    const requestedDate = parseBusinessDate(date);
+    if (!requestedDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format. Please use YYYY-MM-DD format'
+      });
+    }
+
     // Get customer
     const customer = await Customer.findById(customerId)
       .populate('deliverySchedule.milkItems.milkType', 'name')
-      .populate('deliverySchedule.milkItems.subcategory', 'name');
+      .populate('deliverySchedule.milkItems.subcategory', 'name')
+      .populate('scheduleRevisions.deliverySchedule.milkItems.milkType', 'name')
+      .populate('scheduleRevisions.deliverySchedule.milkItems.subcategory', 'name');
     if (!customer) {
       return res.status(404).json({
         success: false,
@@ -24,19 +69,68 @@ const updateCustomerQuantity = async (req, res) => {
       });
     }
 
+    // Enforce the change cutoff for the requested slot
+    const settings = await getCutoffSettings();
+    const requestedCutoff = getChangeCutoff(settings, requestedDate, time);
+    const cutoff = {
+      ...requestedCutoff,
+      policy: settings.lateChangePolicy,
+      overridden: false,
+      deferredTo: null,
+      message: describeCutoff(requestedCutoff)
+    };
+
+    let updateDate = requestedDate;
+    let updateTime = time;
+
+    if (requestedCutoff.isPassed) {
+      if (req.body.overrideCutoff === true && req.admin?.isAdmin) {
+        cutoff.overridden = true;
+        cutoff.message += '. The cutoff was overridden by an admin';
+      } else if (settings.lateChangePolicy === 'defer') {
+        // Move the change to the next open slot that has this milk item
+        let next = null;
+        let candidate = { date: updateDate, time: updateTime };
+        for (let i = 0; i < MAX_DEFER_SLOTS && !next; i++) {
+          candidate = getNextSlot(candidate.date, candidate.time);
+          const candidateCutoff = getChangeCutoff(settings, candidate.date, candidate.time);
+          const { delivery: candidateDelivery, milkItem: candidateItem } =
+            findMilkItem(customer, candidate.date, candidate.time, milkType, subcategory);
+          if (!candidateCutoff.isPassed && candidateItem && isScheduledOn(candidateDelivery, candidate.date)) {
+            next = candidate;
+          }
+        }
+
+        if (!next) {
+          return res.status(400).json({
+            success: false,
+            error: `${cutoff.message}. No later delivery with this milk item is open for changes`,
+            cutoff
+          });
+        }
+
+        updateDate = next.date;
+        updateTime = next.time;
+        cutoff.deferredTo = getChangeCutoff(settings, next.date, next.time);
+        cutoff.message += `. The change has been moved to the ${next.time} delivery on ${cutoff.deferredTo.date}`;
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: `${cutoff.message}. Late changes are not accepted`,
+          cutoff
+        });
+      }
+    }
+
     // Find the delivery time (morning/evening)
-    const delivery = customer.deliverySchedule.find(d => d.time === time);
+    const { delivery, milkItem } = findMilkItem(customer, updateDate, updateTime, milkType, subcategory);
     if (!delivery) {
       return res.status(404).json({
         success: false,
-        error: `No delivery schedule found for time: ${time}`
+        error: `No delivery schedule found for time: ${updateTime}`
       });
     }
 
-    const milkItem = delivery.milkItems.find(item =>
-      item.milkType && item.milkType._id.toString() === milkType &&
-      item.subcategory && item.subcategory._id.toString() === subcategory
-    );
     if (!milkItem) {
       return res.status(404).json({
         success: false,
@@ -44,7 +138,15 @@ const updateCustomerQuantity = async (req, res) => {
       });
     }
 
-    const originalQuantity = milkItem.quantity;
+    if (!isScheduledOn(delivery, updateDate)) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${updateTime} delivery is not scheduled on this date`
+      });
+    }
+
+    // The quantity normally due that day, including weekday overrides
+    const originalQuantity = getScheduledQuantity(delivery, milkItem, updateDate);
     const difference = newQuantity - originalQuantity;
 
     // Update the in-memory milkItem quantity and totalPrice
@@ -58,8 +160,8 @@ const updateCustomerQuantity = async (req, res) => {
     // Check if a quantity update already exists for this date, customer, time, milkType, and subcategory
     const existingUpdate = await QuantityUpdate.findOne({
       customer: customerId,
-      date: new Date(date),
-      time,
+      date: businessDayQuery(updateDate),
+      time: updateTime,
       milkType,
       subcategory
     });
@@ -77,6 +179,8 @@ const updateCustomerQuantity = async (req, res) => {
           reason,
           status: "pending",
           isAccept: "false",
+          // A change made on its own day is no longer part of a range request
+          $unset: { requestGroup: "" },
         },
         { new: true, runValidators: true }
       );
@@ -84,8 +188,8 @@ const updateCustomerQuantity = async (req, res) => {
       // Create new quantity update record
       update = await QuantityUpdate.create({
         customer: customerId,
-        date: new Date(date),
-        time,
+        date: updateDate,
+        time: updateTime,
         milkType,
         subcategory,
         oldQuantity: originalQuantity,
@@ -99,7 +203,8 @@ const updateCustomerQuantity = async (req, res) => {
     res.status(200).json({
       success: true,
       data: update,
-      deliverySchedule: customer.deliverySchedule
+      deliverySchedule: getScheduleForDate(customer, updateDate),
+      cutoff
     });
   } catch (error) {
     res.status(500).json({
@@ -109,6 +214,223 @@ const updateCustomerQuantity = async (req, res) => {
   }
 };
 
+// Read the slots and milk items of a range request: either `items`, or a
+// single time, milkType, subcategory and newQuantity. Returns the items or
+// an error message.
+const parseRangeItems = (body) => {
+  const items = Array.isArray(body.items)
+    ? body.items
+    : [{ time: body.time, milkType: body.milkType, subcategory: body.subcategory, newQuantity: body.newQuantity }];
+
+  if (items.length === 0) {
+    return { error: 'Please provide at least one item to change' };
+  }
+
+  for (const item of items) {
+    if (!['morning', 'evening'].includes(item?.time)) {
+      return { error: 'Each item needs a time of morning or evening' };
+    }
+    if (!mongoose.isValidObjectId(item.milkType) || !mongoose.isValidObjectId(item.subcategory)) {
+      return { error: 'Each item needs a valid milkType and subcategory' };
+    }
+    if (typeof item.newQuantity !== 'number' || item.newQuantity < 0) {
+      return { error: 'Each item needs a newQuantity of 0 or more' };
+    }
+  }
+
+  const keys = new Set(items.map(item => `${item.time}-${item.milkType}-${item.subcategory}`));
+  if (keys.size !== items.length) {
+    return { error: 'The same slot and milk item is listed more than once' };
+  }
+
+  return { items };
+};
+
+// A change request as a whole, from the daily updates that make it up
+const summarizeGroup = (updates) => {
+  const statuses = [...new Set(updates.map(update => update.status))];
+  const dates = updates.map(update => update.date).sort((a, b) => a - b);
+
+  return {
+    requestGroup: updates[0].requestGroup,
+    customer: updates[0].customer,
+    startDate: formatBusinessDate(dates[0]),
+    endDate: formatBusinessDate(dates[dates.length - 1]),
+    status: statuses.length === 1 ? statuses[0] : 'mixed',
+    reason: updates[0].reason,
+    count: updates.length,
+    updates
+  };
+};
+
+// @desc    Request quantity changes for every day from startDate to
+//          endDate, for one or more slots and milk items, as one change
+//          request
+// @route   POST /api/updates/quantity/range
+// @access  Public (admins may override the cutoff)
+const requestQuantityRange = async (req, res) => {
+  try {
+    const { customerId, startDate, endDate, reason } = req.body;
+
+    if (!customerId || !startDate || !endDate || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide customerId, startDate, endDate and reason'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(customerId)) {
+      return res.status(400).json({ success: false, error: 'Invalid customerId' });
+    }
+
+    const rangeStart = parseBusinessDate(startDate);
+    const rangeEnd = parseBusinessDate(endDate);
+    if (!rangeStart || !rangeEnd) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format. Please use YYYY-MM-DD format'
+      });
+    }
+
+    const days = businessDaysBetween(rangeStart, rangeEnd) + 1;
+    if (days < 1) {
+      return res.status(400).json({ success: false, error: 'endDate cannot be before startDate' });
+    }
+    if (days > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `A change request can cover at most ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const { items, error } = parseRangeItems(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const customer = await Customer.findById(customerId)
+      .populate('deliverySchedule.milkItems.milkType', 'name')
+      .populate('deliverySchedule.milkItems.subcategory', 'name')
+      .populate('scheduleRevisions.deliverySchedule.milkItems.milkType', 'name')
+      .populate('scheduleRevisions.deliverySchedule.milkItems.subcategory', 'name');
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    // Slots whose cutoff has passed are left out of the request, unless an
+    // admin overrides the cutoff; later days in the range still change
+    const settings = await getCutoffSettings();
+    const overrideCutoff = req.body.overrideCutoff === true && Boolean(req.admin?.isAdmin);
+    const requestGroup = new mongoose.Types.ObjectId();
+    const updates = [];
+    const skipped = [];
+
+    // Days that already have a live update for a slot and item keep it: a
+    // range request never takes over another request's or an accepted
+    // change. Rejected updates are replaced.
+    const existingUpdates = await QuantityUpdate.find({
+      customer: customerId,
+      date: businessRangeQuery(rangeStart, rangeEnd)
+    });
+    const findExisting = (day, { time, milkType, subcategory }) => existingUpdates.find(update =>
+      formatBusinessDate(update.date) === formatBusinessDate(day) &&
+      update.time === time &&
+      update.milkType.toString() === milkType &&
+      update.subcategory.toString() === subcategory
+    );
+
+    for (let i = 0; i < days; i++) {
+      const day = addBusinessDays(rangeStart, i);
+
+      for (const item of items) {
+        const { time, milkType, subcategory, newQuantity } = item;
+        const skip = (problem) => skipped.push({ date: formatBusinessDate(day), time, milkType, subcategory, problem });
+
+        const { delivery, milkItem } = findMilkItem(customer, day, time, milkType, subcategory);
+        if (!milkItem || !isScheduledOn(delivery, day)) {
+          skip('This milk item is not delivered in this slot on this day');
+          continue;
+        }
+
+        const cutoff = getChangeCutoff(settings, day, time);
+        if (cutoff.isPassed && !overrideCutoff) {
+          skip(describeCutoff(cutoff));
+          continue;
+        }
+
+        const existing = findExisting(day, item);
+        if (existing && existing.status !== 'rejected') {
+          skip(`This item already has a quantity change for this day (${existing.status})`);
+          continue;
+        }
+
+        const originalQuantity = getScheduledQuantity(delivery, milkItem, day);
+        const fields = {
+          oldQuantity: originalQuantity,
+          newQuantity,
+          difference: newQuantity - originalQuantity,
+          reason,
+          status: 'pending',
+          isAccept: false,
+          requestGroup
+        };
+        const update = existing
+          ? await Object.assign(existing, fields).save()
+          : await QuantityUpdate.create({ customer: customerId, date: day, time, milkType, subcategory, ...fields });
+        updates.push(update);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'None of the requested days and slots can be changed',
+        skipped
+      });
+    }
+
+    // As with single-day changes, records already generated for these days
+    // are only changed once an admin accepts the request
+    res.status(201).json({
+      success: true,
+      data: summarizeGroup(updates),
+      skipped
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a change request and its daily updates
+// @route   GET /api/updates/quantity/group/:requestGroup
+// @access  Public
+const getQuantityUpdateGroup = async (req, res) => {
+  try {
+    const { requestGroup } = req.params;
+    if (!mongoose.isValidObjectId(requestGroup)) {
+      return res.status(400).json({ success: false, error: 'Invalid request group' });
+    }
+
+    const updates = await QuantityUpdate.find({ requestGroup })
+      .populate('customer', 'name customerNo phoneNo')
+      .populate('milkType', 'name')
+      .populate('subcategory', 'name')
+      .sort({ date: 1, time: 1 });
+    if (updates.length === 0) {
+      return res.status(404).json({ success: false, error: 'Change request not found' });
+    }
+
+    res.json({ success: true, data: summarizeGroup(updates) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
 
 const getQuantityUpdates = async (req, res) => {
   try {
@@ -117,16 +439,26 @@ const getQuantityUpdates = async (req, res) => {
     const query = {};
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+      const rangeStart = parseBusinessDate(startDate);
+      const rangeEnd = parseBusinessDate(endDate);
+      if (!rangeStart || !rangeEnd) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format. Please use YYYY-MM-DD format'
+        });
+      }
+      query.date = businessRangeQuery(rangeStart, rangeEnd);
     }
 
     if (customerId) {
       query.customer = customerId;
     }
 
+    if (req.query.requestGroup) {
+      query.requestGroup = req.query.requestGroup;
+    }
+
+    const updatePolicy = await getQuantityUpdatePolicy();
     const updates = await QuantityUpdate.find(query)
       .populate({
         path: 'customer',
@@ -175,19 +507,16 @@ const getQuantityUpdates = async (req, res) => {
             // Store customer's default quantity
             milkItem.originalQuantity = milkItem.quantity;
 
-            let quantityToShow;
-
-            // Determine quantity based on status
-            if (latestUpdate.status === 'pending' || latestUpdate.status === 'accepted' || latestUpdate.isAccept === true) {
-              // For pending or accepted, show the updated quantity
-              quantityToShow = latestUpdate.newQuantity;
-            } else if (latestUpdate.status === 'rejected' || latestUpdate.isAccept === false) {
-              // For rejected, find the last accepted quantity
-              quantityToShow = latestUpdate.lastQuantity;
-            } else {
-              // Default case - use updated quantity
-              quantityToShow = latestUpdate.newQuantity;
-            }
+            // Show what will be delivered on the latest day with an update,
+            // as record generation decides it: the most recently decided
+            // update for the day that the quantity update policy applies,
+            // otherwise the customer's own quantity
+            const latestDay = formatBusinessDate(latestUpdate.date);
+            const appliedUpdate = itemUpdates
+              .filter(update => formatBusinessDate(update.date) === latestDay && isAppliedUpdate(update, updatePolicy))
+              .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+            const isApplied = Boolean(appliedUpdate);
+            const quantityToShow = isApplied ? appliedUpdate.newQuantity : milkItem.quantity;
 
             // Update quantity and price
             milkItem.quantity = quantityToShow;
@@ -198,10 +527,12 @@ const getQuantityUpdates = async (req, res) => {
               hasUpdate: true,
               status: latestUpdate.status || 'pending',
               isAccepted: latestUpdate.isAccept,
+              isApplied,
               difference: latestUpdate.difference,
               reason: latestUpdate.reason,
-              updateDate: latestUpdate.date,
-              updateId: latestUpdate._id
+              updateDate: latestDay,
+              updateId: latestUpdate._id,
+              appliedUpdateId: isApplied ? appliedUpdate._id : null
             };
           }
         }
@@ -227,7 +558,7 @@ const getQuantityUpdates = async (req, res) => {
 
     // Remove deliverySchedule from customer data in the updates
     const cleanUpdates = updates.map(update => {
-      const updateObj = update.toObject();
+      const updateObj = update.toJSON();
       if (updateObj.customer && updateObj.customer.deliverySchedule) {
         const { deliverySchedule, ...customerWithoutSchedule } = updateObj.customer;
         updateObj.customer = customerWithoutSchedule;
@@ -248,7 +579,8 @@ const getQuantityUpdates = async (req, res) => {
       success: true,
       count: updates.length,
       data: cleanUpdates,
-      deliverySchedule: deliverySchedule
+      deliverySchedule: deliverySchedule,
+      quantityUpdatePolicy: updatePolicy
     });
   } catch (error) {
     res.status(500).json({
@@ -268,8 +600,17 @@ const deleteQuantityUpdate = async (req, res) => {
     if (!update) {
       return res.status(404).json({ success: false, error: 'Quantity update not found' });
     }
+    // Records already carrying an applied update lose it with the update
+    const wasApplied = isAppliedUpdate(update, await getQuantityUpdatePolicy());
     await update.deleteOne();
-    res.json({ success: true, message: 'Quantity update deleted successfully' });
+    const adjustment = wasApplied
+      ? await restoreRecordsForUpdates([update], {
+        reason: `Quantity update deleted: ${update.reason}`,
+        changedBy: req.admin?._id
+      })
+      : null;
+
+    res.json({ success: true, message: 'Quantity update deleted successfully', adjustment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -286,7 +627,14 @@ const acceptQuantityUpdate = async (req, res) => {
     console.log('Last Updated:', lastUpdated);
     update.lastQuantity = lastUpdated;
     await update.save();
-    res.json({ success: true, message: 'Quantity update accepted successfully', data: update });
+
+    // A record generated before the update was accepted gets the new quantity
+    const adjustment = await adjustRecordsForUpdates(
+      [{ update, quantity: update.newQuantity }],
+      { reason: `Quantity update accepted: ${update.reason}`, changedBy: req.admin?._id }
+    );
+
+    res.json({ success: true, message: 'Quantity update accepted successfully', data: update, adjustment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -300,12 +648,104 @@ const rejectQuantityUpdate = async (req, res) => {
     if (!update) {
       return res.status(404).json({ success: false, error: 'Quantity update not found' });
     }
+    const wasApplied = isAppliedUpdate(update, await getQuantityUpdatePolicy());
     update.isAccept = false;
     update.reason = reason || 'No reason provided';
     update.status = 'rejected'; // Set status to rejected
 
     await update.save();
-    res.json({ success: true, message: 'Quantity update rejected successfully' });
+
+    // A record already carrying the change goes back to what it would be
+    // without it
+    const adjustment = wasApplied
+      ? await restoreRecordsForUpdates([update], {
+        reason: `Quantity update rejected: ${update.reason}`,
+        changedBy: req.admin?._id
+      })
+      : null;
+
+    res.json({ success: true, message: 'Quantity update rejected successfully', adjustment });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// @desc    Accept every daily update of a change request
+// @route   PATCH /api/updates/quantity/group/:requestGroup/accept
+// @access  Private/Admin
+const acceptQuantityUpdateGroup = async (req, res) => {
+  try {
+    const { requestGroup } = req.params;
+    if (!mongoose.isValidObjectId(requestGroup)) {
+      return res.status(400).json({ success: false, error: 'Invalid request group' });
+    }
+
+    const updates = await QuantityUpdate.find({ requestGroup }).sort({ date: 1, time: 1 });
+    if (updates.length === 0) {
+      return res.status(404).json({ success: false, error: 'Change request not found' });
+    }
+
+    for (const update of updates) {
+      update.isAccept = true;
+      update.status = 'accepted';
+      if (req.body.lastUpdated !== undefined) {
+        update.lastQuantity = req.body.lastUpdated;
+      }
+      await update.save();
+    }
+
+    const adjustment = await adjustRecordsForUpdates(
+      updates.map(update => ({ update, quantity: update.newQuantity })),
+      { reason: `Change request accepted: ${updates[0].reason}`, changedBy: req.admin?._id }
+    );
+
+    res.json({
+      success: true,
+      message: 'Change request accepted successfully',
+      data: summarizeGroup(updates),
+      adjustment
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// @desc    Reject every daily update of a change request
+// @route   PATCH /api/updates/quantity/group/:requestGroup/reject
+// @access  Private/Admin
+const rejectQuantityUpdateGroup = async (req, res) => {
+  try {
+    const { requestGroup } = req.params;
+    if (!mongoose.isValidObjectId(requestGroup)) {
+      return res.status(400).json({ success: false, error: 'Invalid request group' });
+    }
+
+    const updates = await QuantityUpdate.find({ requestGroup }).sort({ date: 1, time: 1 });
+    if (updates.length === 0) {
+      return res.status(404).json({ success: false, error: 'Change request not found' });
+    }
+
+    const updatePolicy = await getQuantityUpdatePolicy();
+    const applied = updates.filter(update => isAppliedUpdate(update, updatePolicy));
+
+    for (const update of updates) {
+      update.isAccept = false;
+      update.reason = req.body.reason || 'No reason provided';
+      update.status = 'rejected';
+      await update.save();
+    }
+
+    const adjustment = await restoreRecordsForUpdates(applied, {
+      reason: `Change request rejected: ${updates[0].reason}`,
+      changedBy: req.admin?._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Change request rejected successfully',
+      data: summarizeGroup(updates),
+      adjustment
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -313,6 +753,10 @@ const rejectQuantityUpdate = async (req, res) => {
 
 export {
   updateCustomerQuantity,
+  requestQuantityRange,
+  getQuantityUpdateGroup,
+  acceptQuantityUpdateGroup,
+  rejectQuantityUpdateGroup,
   getQuantityUpdates,
   deleteQuantityUpdate,
   acceptQuantityUpdate,
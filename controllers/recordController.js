@@ -1,8 +1,19 @@
 import Record from '../models/Record.js';
 import Customer from '../models/Customer.js';
-import QuantityUpdate from '../models/QuantityUpdate.js';
-import moment from 'moment';
-import Holiday from '../models/Holiday.js';
+import Route from '../models/Route.js';
+import mongoose from 'mongoose';
+import RecordRevision from '../models/RecordRevision.js';
+import { generateRecordsForDate, catchUpMissedRecords, validateCatchUpRange } from '../utils/recordGenerator.js';
+import { snapshotRecord, logRecordRevision } from '../utils/recordAudit.js';
+import {
+  DAIRY_TIMEZONE,
+  parseBusinessDate,
+  endOfBusinessDay,
+  formatBusinessDate,
+  businessRangeQuery,
+  monthRange,
+  today
+} from '../utils/businessDate.js';
 
 // @desc    Get all records with filters, pagination and search
 // @route   GET /api/records
@@ -21,23 +32,21 @@ const getRecords = async (req, res) => {
     // Build query
     const query = {};
 
-    // Date filters with proper time handling
-    if (startDate && endDate) {
-      // Parse as local (IST), then convert to UTC
-      const start = new Date(new Date(startDate).setHours(0, 0, 0, 0) - 5.5 * 60 * 60 * 1000);
-      const end = new Date(new Date(endDate).setHours(23, 59, 59, 999) - 5.5 * 60 * 60 * 1000);
-      query.date = {
-        $gte: start,
-        $lte: end
-      };
-    } else if (startDate) {
-      // Only start date provided - from start date onwards
-      const start = new Date(startDate + 'T00:00:00.000Z');
-      query.date = { $gte: start };
-    } else if (endDate) {
-      // Only end date provided - up to end date
-      const end = new Date(endDate + 'T23:59:59.999Z');
-      query.date = { $lte: end };
+    // Date filters are business days in the dairy timezone
+    const start = startDate ? parseBusinessDate(startDate) : null;
+    const end = endDate ? parseBusinessDate(endDate) : null;
+
+    if ((startDate && !start) || (endDate && !end)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format. Please use YYYY-MM-DD format'
+      });
+    }
+
+    if (start || end) {
+      query.date = {};
+      if (start) query.date.$gte = start;
+      if (end) query.date.$lte = endOfBusinessDay(end);
     }
 
     // Customer ID filter
@@ -131,187 +140,60 @@ const getRecords = async (req, res) => {
   }
 };
 
-const checkIfHoliday = async (date) => {
+// @desc    Create daily records for all customers
+// @route   POST /api/records/daily
+// @access  Private/Admin
+const createDailyRecords = async (req, res) => {
   try {
-    const checkDate = new Date(date);
-    checkDate.setHours(0, 0, 0, 0);
-
-    const currentYear = checkDate.getFullYear();
-    const currentMonth = checkDate.getMonth();
-    const currentDay = checkDate.getDate();
-
-    // Check for non-recurring holidays (exact date match)
-    const nonRecurringHoliday = await Holiday.findOne({
-      date: {
-        $gte: checkDate,
-        $lt: new Date(checkDate.getTime() + 24 * 60 * 60 * 1000) // Next day
-      },
-      isRecurringYearly: false
-    });
+    const result = await generateRecordsForDate(today());
 
-    if (nonRecurringHoliday) {
-      return {
-        isHoliday: true,
-        holidayName: nonRecurringHoliday.name,
-        holidayDetails: nonRecurringHoliday
-      };
+    if (result.holiday && result.holiday.slots.length === 2) {
+      return res.status(200).json({
+        success: false,
+        message: `Records not created because today is a holiday: ${result.holiday.holidayName}`,
+        holiday: result.holiday.holidayDetails
+      });
     }
 
-    // Check for recurring holidays (same month and day, any year)
-    const recurringHolidays = await Holiday.find({
-      isRecurringYearly: true
+    res.status(201).json({
+      success: true,
+      count: result.records.length,
+      data: result.records,
+      // Only some deliveries were left out for the holiday
+      ...(result.holiday && {
+        message: `Deliveries covered by the holiday were left out: ${result.holiday.holidayName}`,
+        holiday: result.holiday.holidayDetails
+      })
     });
-
-    for (const holiday of recurringHolidays) {
-      const holidayDate = new Date(holiday.date);
-      if (holidayDate.getMonth() === currentMonth &&
-        holidayDate.getDate() === currentDay) {
-        return {
-          isHoliday: true,
-          holidayName: holiday.name,
-          holidayDetails: {
-            ...holiday.toObject(),
-            date: checkDate // Show current year's date
-          }
-        };
-      }
-    }
-
-    return {
-      isHoliday: false,
-      holidayName: null,
-      holidayDetails: null
-    };
   } catch (error) {
-    console.error('Error checking holiday:', error);
-    // In case of error, assume it's not a holiday to avoid blocking record creation
-    return {
-      isHoliday: false,
-      holidayName: null,
-      holidayDetails: null
-    };
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 };
-// @desc    Create daily records for all customers
-// @route   POST /api/records/daily
+
+// @desc    Generate records for days missed since the last run
+// @route   POST /api/records/catch-up
 // @access  Private/Admin
-const createDailyRecords = async (req, res) => {
+const catchUpRecords = async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Check if today is a holiday
-    const isHoliday = await checkIfHoliday(today);
+    const { from, to } = req.body;
 
-    if (isHoliday.isHoliday) {
-      return res.status(200).json({
+    // Past days only, and a limited number at a time
+    const rangeError = validateCatchUpRange({ from, to });
+    if (rangeError) {
+      return res.status(400).json({
         success: false,
-        message: `Records not created because today is a holiday: ${isHoliday.holidayName}`,
-        holiday: isHoliday.holidayDetails
+        error: rangeError
       });
     }
-    // Get all active customers
-    const customers = await Customer.find({ isActive: true });
-    const records = [];
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    for (const customer of customers) {
-      // Check if customer's joined date is in the future
-      if (customer.joinedDate) {
-        // Parse the joined date from Indian format (DD/MM/YYYY)
-        const parts = customer.joinedDate.split('/');
-        if (parts.length === 3) {
-          const joinedDate = new Date(parseInt(parts[2]), parseInt(parts[1]) - 1, parseInt(parts[0]));
-          joinedDate.setHours(0, 0, 0, 0);
-
-          // Skip this customer if today is before their joined date
-          if (today < joinedDate) {
-            console.log(`Skipping record creation for ${customer.name} as their joined date (${customer.joinedDate}) is in the future`);
-            continue;
-          }
-        }
-      }
-
-      // Check if record already exists for today
-      const existingRecord = await Record.findOne({
-        customer: customer._id,
-        date: today
-      });
 
-      if (!existingRecord) {
-        // Get any quantity updates for today
-        const updates = await QuantityUpdate.find({
-          customer: customer._id,
-          date: { $gte: startOfDay, $lte: endOfDay }
-        });
-
-        if (updates.isAccept === false) {
-          console.log(`Skipping record creation for ${customer.name} due to ${updates.reason}`);
-          continue; // Skip if updates are not accepted
-        }
-
-        // Prepare new deliverySchedule for the record
-        const recordDeliverySchedule = [];
-        let totalDailyQuantity = 0;
-        let totalDailyPrice = 0;
-
-        for (const delivery of customer.deliverySchedule) {
-          const recordMilkItems = [];
-          let deliveryTotalQuantity = 0;
-          let deliveryTotalPrice = 0;
-
-          for (const milkItem of delivery.milkItems) {
-            // Check for quantity update for this milk item and time
-            const update = updates.find(u =>
-              u.time === delivery.time &&
-              u.milkType.toString() === milkItem.milkType.toString() &&
-              u.subcategory.toString() === milkItem.subcategory.toString()
-            );
-            const quantity = update ? update.newQuantity : milkItem.quantity;
-            const pricePerUnit = milkItem.pricePerUnit;
-            const totalPrice = quantity * pricePerUnit;
-
-            recordMilkItems.push({
-              milkType: milkItem.milkType,
-              subcategory: milkItem.subcategory,
-              quantity,
-              pricePerUnit,
-              totalPrice
-            });
-            deliveryTotalQuantity += quantity;
-            deliveryTotalPrice += totalPrice;
-          }
-
-          recordDeliverySchedule.push({
-            time: delivery.time,
-            milkItems: recordMilkItems,
-            totalQuantity: deliveryTotalQuantity,
-            totalPrice: deliveryTotalPrice
-          });
-          totalDailyQuantity += deliveryTotalQuantity;
-          totalDailyPrice += deliveryTotalPrice;
-        }
-
-        // Create the record
-        const record = await Record.create({
-          customer: customer._id,
-          date: today,
-          deliverySchedule: recordDeliverySchedule,
-          totalDailyQuantity,
-          totalDailyPrice
-        });
-
-        records.push(record);
-      }
-    }
+    const result = await catchUpMissedRecords({ from, to });
 
     res.status(201).json({
       success: true,
-      count: records.length,
-      data: records
+      ...result
     });
   } catch (error) {
     res.status(500).json({
@@ -321,83 +203,160 @@ const createDailyRecords = async (req, res) => {
   }
 };
 
-// @desc    Get records summary for a customer or all customers
-// @route   GET /api/records/summary
+// Date formats used to group the summary
+const SUMMARY_GROUPS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// @desc    Get litres and revenue from records, grouped by period, slot,
+//          category and subcategory
+// @route   GET /api/records/summary?startDate&endDate&groupBy=day|week|month&customerId&area&route
 // @access  Private/Admin
 const getRecordsSummary = async (req, res) => {
   try {
-    const { startDate, endDate, customerId } = req.query;
+    const { startDate, endDate, customerId, area, route, groupBy = 'day' } = req.query;
+
+    const start = parseBusinessDate(startDate);
+    const end = parseBusinessDate(endDate);
 
     // Validate dates
-    if (!startDate || !endDate) {
+    if (!start || !end) {
       return res.status(400).json({
         success: false,
-        error: 'Start date and end date are required'
+        error: 'Start date and end date are required in YYYY-MM-DD format'
+      });
+    }
+
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date cannot be after end date'
       });
     }
 
+    if (!SUMMARY_GROUPS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        error: 'groupBy must be one of day, week or month'
+      });
+    }
+
+    if (customerId && !mongoose.isValidObjectId(customerId)) {
+      return res.status(400).json({ success: false, error: 'Invalid customerId' });
+    }
+
+    if (route && !mongoose.isValidObjectId(route)) {
+      return res.status(400).json({ success: false, error: 'Invalid route' });
+    }
+
     const query = {
-      date: {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      }
+      date: businessRangeQuery(start, end)
     };
 
-    if (customerId) {
-      query.customer = customerId;
+    // Narrow down to the customers matching the customer, area and route filters
+    let customerIds = customerId ? [customerId] : null;
+    const narrow = (ids) => {
+      customerIds = customerIds ? customerIds.filter(id => ids.includes(id)) : ids;
+    };
+
+    if (area) {
+      const customers = await Customer.find({ area }).select('_id');
+      narrow(customers.map(customer => customer._id.toString()));
     }
 
-    // Aggregate daily totals
-    const dailyTotals = await Record.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: {
-            date: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
-          },
-          totalQuantity: { $sum: '$totalQuantity' },
-          totalAmount: { $sum: '$totalAmount' },
-          morningQuantity: { $sum: '$morningQuantity' },
-          eveningQuantity: { $sum: '$eveningQuantity' }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          date: '$_id.date',
-          totalQuantity: 1,
-          totalAmount: 1,
-          morningQuantity: 1,
-          eveningQuantity: 1
-        }
-      },
-      { $sort: { date: 1 } }
-    ]);
+    if (route) {
+      const deliveryRoute = await Route.findById(route).select('stops.customer');
+      if (!deliveryRoute) {
+        return res.status(404).json({
+          success: false,
+          error: 'Route not found'
+        });
+      }
+      narrow(deliveryRoute.stops.map(stop => stop.customer.toString()));
+    }
+
+    if (customerIds) {
+      query.customer = { $in: customerIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
 
-    // Aggregate customer totals if no specific customer was requested
-    let customerTotals = [];
-    if (!customerId) {
-      customerTotals = await Record.aggregate([
+    // Group by business day in the dairy timezone
+    const period = {
+      $dateToString: { format: SUMMARY_GROUPS[groupBy], date: '$date', timezone: DAIRY_TIMEZONE }
+    };
+
+    const [breakdown, recordTotals, customerTotals] = await Promise.all([
+      Record.aggregate([
         { $match: query },
+        { $unwind: '$deliverySchedule' },
+        { $unwind: '$deliverySchedule.milkItems' },
         {
           $group: {
-            _id: '$customer',
-            totalQuantity: { $sum: '$totalQuantity' },
-            totalAmount: { $sum: '$totalAmount' },
-            recordCount: { $sum: 1 }
+            _id: {
+              period,
+              slot: '$deliverySchedule.time',
+              milkType: '$deliverySchedule.milkItems.milkType',
+              subcategory: '$deliverySchedule.milkItems.subcategory'
+            },
+            quantity: { $sum: '$deliverySchedule.milkItems.quantity' },
+            revenue: { $sum: '$deliverySchedule.milkItems.totalPrice' },
+            extraQuantity: {
+              $sum: {
+                $cond: ['$deliverySchedule.milkItems.isExtra', '$deliverySchedule.milkItems.quantity', 0]
+              }
+            }
+          }
+        },
+        {
+          $lookup: { from: 'categories', localField: '_id.milkType', foreignField: '_id', as: 'milkType' }
+        },
+        {
+          $lookup: { from: 'subcategories', localField: '_id.subcategory', foreignField: '_id', as: 'subcategory' }
+        },
+        {
+          $project: {
+            _id: 0,
+            period: '$_id.period',
+            slot: '$_id.slot',
+            milkType: { _id: '$_id.milkType', name: { $first: '$milkType.name' } },
+            subcategory: { _id: '$_id.subcategory', name: { $first: '$subcategory.name' } },
+            quantity: 1,
+            revenue: 1,
+            extraQuantity: 1
           }
         },
+        { $sort: { period: 1, slot: -1, 'milkType.name': 1, 'subcategory.name': 1 } }
+      ]),
+      // Record-level totals, the figures invoices are built from
+      Record.aggregate([
+        { $match: query },
         {
-          $lookup: {
-            from: 'customers',
-            localField: '_id',
-            foreignField: '_id',
-            as: 'customerInfo'
+          $group: {
+            _id: period,
+            records: { $sum: 1 },
+            customers: { $addToSet: '$customer' },
+            totalDailyQuantity: { $sum: '$totalDailyQuantity' },
+            totalDailyPrice: { $sum: '$totalDailyPrice' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      // Totals per customer when no particular customer was asked for
+      customerId ? [] : Record.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: '$customer',
+            totalQuantity: { $sum: '$totalDailyQuantity' },
+            totalAmount: { $sum: '$totalDailyPrice' },
+            recordCount: { $sum: 1 }
           }
         },
         {
-          $unwind: '$customerInfo'
+          $lookup: { from: 'customers', localField: '_id', foreignField: '_id', as: 'customerInfo' }
         },
+        { $unwind: '$customerInfo' },
         {
           $project: {
             _id: 0,
@@ -410,21 +369,67 @@ const getRecordsSummary = async (req, res) => {
           }
         },
         { $sort: { totalQuantity: -1 } }
-      ]);
-    }
+      ])
+    ]);
+
+    // Totals per period, split by slot
+    const periods = recordTotals.map(total => {
+      const rows = breakdown.filter(row => row.period === total._id);
+      const sumRows = (filter, field) => rows.filter(filter).reduce((sum, row) => sum + row[field], 0);
+
+      return {
+        period: total._id,
+        records: total.records,
+        customers: total.customers.length,
+        quantity: sumRows(() => true, 'quantity'),
+        revenue: sumRows(() => true, 'revenue'),
+        morningQuantity: sumRows(row => row.slot === 'morning', 'quantity'),
+        eveningQuantity: sumRows(row => row.slot === 'evening', 'quantity'),
+        extraQuantity: sumRows(() => true, 'extraQuantity')
+      };
+    });
+
+    // Totals per category and subcategory over the whole range
+    const byProduct = new Map();
+    breakdown.forEach(row => {
+      const key = `${row.milkType._id}-${row.subcategory._id}`;
+      const total = byProduct.get(key) || {
+        milkType: row.milkType,
+        subcategory: row.subcategory,
+        quantity: 0,
+        revenue: 0,
+        morningQuantity: 0,
+        eveningQuantity: 0
+      };
+      total.quantity += row.quantity;
+      total.revenue += row.revenue;
+      total[`${row.slot}Quantity`] += row.quantity;
+      byProduct.set(key, total);
+    });
 
-    // Calculate overall totals
     const overallTotals = {
-      totalRecords: await Record.countDocuments(query),
-      totalQuantity: dailyTotals.reduce((acc, day) => acc + day.totalQuantity, 0),
-      totalAmount: dailyTotals.reduce((acc, day) => acc + day.totalAmount, 0),
-      morningQuantity: dailyTotals.reduce((acc, day) => acc + day.morningQuantity, 0),
-      eveningQuantity: dailyTotals.reduce((acc, day) => acc + day.eveningQuantity, 0)
+      totalRecords: periods.reduce((sum, p) => sum + p.records, 0),
+      totalQuantity: periods.reduce((sum, p) => sum + p.quantity, 0),
+      totalRevenue: periods.reduce((sum, p) => sum + p.revenue, 0),
+      morningQuantity: periods.reduce((sum, p) => sum + p.morningQuantity, 0),
+      eveningQuantity: periods.reduce((sum, p) => sum + p.eveningQuantity, 0),
+      extraQuantity: periods.reduce((sum, p) => sum + p.extraQuantity, 0),
+      // Invoices add up record totals; these should match the item sums above
+      recordTotalQuantity: recordTotals.reduce((sum, t) => sum + t.totalDailyQuantity, 0),
+      recordTotalPrice: recordTotals.reduce((sum, t) => sum + t.totalDailyPrice, 0)
     };
+    overallTotals.isReconciled =
+      Math.abs(overallTotals.recordTotalQuantity - overallTotals.totalQuantity) < 0.001 &&
+      Math.abs(overallTotals.recordTotalPrice - overallTotals.totalRevenue) < 0.001;
 
     res.json({
       success: true,
-      dailyTotals,
+      groupBy,
+      startDate: formatBusinessDate(start),
+      endDate: formatBusinessDate(end),
+      periods,
+      byProduct: [...byProduct.values()],
+      breakdown,
       customerTotals,
       overallTotals
     });
@@ -484,25 +489,132 @@ const getRecordById = async (req, res) => {
 // @access  Private/Admin
 const updateRecord = async (req, res) => {
   try {
+    if (typeof req.body.reason !== 'string' || !req.body.reason.trim()) {
+      return res.status(400).json({ success: false, error: 'A reason is required to change a record' });
+    }
+
     const record = await Record.findById(req.params.id);
     if (!record) {
       return res.status(404).json({ success: false, error: 'Record not found' });
     }
 
-    // Update deliverySchedule and totals if provided
+    const before = snapshotRecord(record);
+
+    // Update deliverySchedule if provided. Totals are recalculated from the
+    // milk items on save, so any totals sent by the client are ignored.
     if (req.body.deliverySchedule) {
       record.deliverySchedule = req.body.deliverySchedule;
     }
-    if (req.body.totalDailyQuantity !== undefined) {
-      record.totalDailyQuantity = req.body.totalDailyQuantity;
+
+    await record.save();
+    await logRecordRevision(record, before, {
+      action: 'update',
+      reason: req.body.reason,
+      changedBy: req.admin?._id
+    });
+
+    // Repopulate for response
+    const updatedRecord = await Record.findById(record._id)
+      .populate('customer', 'name customerNo phoneNo')
+      .populate({ path: 'deliverySchedule.milkItems.milkType', select: 'name' })
+      .populate({ path: 'deliverySchedule.milkItems.subcategory', select: 'name' });
+
+    res.json({ success: true, data: updatedRecord });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// @desc    Confirm delivery of one slot of a record
+// @route   PATCH /api/records/:id/delivery
+// @access  Private/Admin
+const confirmRecordDelivery = async (req, res) => {
+  try {
+    const { time, status, items = [], reason, milkman } = req.body;
+
+    if (!time || !['delivered', 'partial', 'skipped'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide time and a status of delivered, partial or skipped'
+      });
     }
-    if (req.body.totalDailyPrice !== undefined) {
-      record.totalDailyPrice = req.body.totalDailyPrice;
+
+    if (status === 'skipped' && !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required when a delivery is skipped'
+      });
+    }
+
+    if (status === 'partial' && (!Array.isArray(items) || items.length === 0 || items.some(item => !item?._id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the _id and delivered quantity of each partially delivered item'
+      });
+    }
+
+    const record = await Record.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Record not found' });
+    }
+
+    const delivery = record.deliverySchedule.find(d => d.time === time);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: `No delivery found for time: ${time}`
+      });
+    }
+
+    const before = snapshotRecord(record);
+
+    // Older records were generated before planned quantities were kept
+    delivery.milkItems.forEach(item => {
+      if (item.plannedQuantity === undefined || item.plannedQuantity === null) {
+        item.plannedQuantity = item.quantity;
+      }
+    });
+
+    if (status === 'partial') {
+      // Items are matched by their _id in the record, since an extra order
+      // can add a second item of the same milk type and subcategory
+      for (const { _id, quantity } of items) {
+        const milkItem = delivery.milkItems.id(_id);
+
+        if (!milkItem) {
+          return res.status(404).json({
+            success: false,
+            error: `Milk item not found in the ${time} delivery: ${_id}`
+          });
+        }
+
+        if (typeof quantity !== 'number' || quantity < 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Delivered quantity must be a number of 0 or more'
+          });
+        }
+
+        milkItem.quantity = quantity;
+      }
+    } else {
+      delivery.milkItems.forEach(item => {
+        item.quantity = status === 'skipped' ? 0 : item.plannedQuantity;
+      });
     }
 
+    delivery.deliveryStatus = status;
+    delivery.skipReason = reason || undefined;
+    delivery.confirmedAt = new Date();
+    delivery.confirmedBy = milkman || undefined;
+
     await record.save();
+    await logRecordRevision(record, before, {
+      action: 'delivery',
+      reason: reason || `Delivery marked as ${status}`,
+      changedBy: req.admin?._id
+    });
 
-    // Repopulate for response
     const updatedRecord = await Record.findById(record._id)
       .populate('customer', 'name customerNo phoneNo')
       .populate({ path: 'deliverySchedule.milkItems.milkType', select: 'name' })
@@ -519,6 +631,14 @@ const updateRecord = async (req, res) => {
 // @access  Private/Admin
 const deleteRecord = async (req, res) => {
   try {
+    const reason = req.body?.reason || req.query.reason;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to delete a record'
+      });
+    }
+
     const record = await Record.findById(req.params.id);
 
     if (!record) {
@@ -528,7 +648,13 @@ const deleteRecord = async (req, res) => {
       });
     }
 
+    const before = snapshotRecord(record);
     await record.deleteOne();
+    await logRecordRevision(record, before, {
+      action: 'delete',
+      reason,
+      changedBy: req.admin?._id
+    }, null);
 
     res.json({
       success: true,
@@ -567,10 +693,10 @@ const getRecordsByCustomer = async (req, res) => {
     }
 
     // Validate date format and range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = parseBusinessDate(startDate);
+    const end = parseBusinessDate(endDate);
 
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!start || !end) {
       return res.status(400).json({
         success: false,
         error: 'Invalid date format. Please use YYYY-MM-DD format'
@@ -587,10 +713,7 @@ const getRecordsByCustomer = async (req, res) => {
     // Build query
     const query = {
       customer: id,
-      date: {
-        $gte: start,
-        $lte: end
-      }
+      date: businessRangeQuery(start, end)
     };
 
     // Count total records for pagination
@@ -633,12 +756,169 @@ const getRecordsByCustomer = async (req, res) => {
   }
 };
 
+// @desc    Find and repair records whose totals disagree with their milk items
+// @route   POST /api/records/repair-totals
+// @access  Private/Admin
+const repairRecordTotals = async (req, res) => {
+  try {
+    const { startDate, endDate, dryRun = true } = req.body;
+
+    const start = parseBusinessDate(startDate);
+    const end = parseBusinessDate(endDate);
+
+    if (!start || !end) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date and end date are required in YYYY-MM-DD format'
+      });
+    }
+
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date cannot be after end date'
+      });
+    }
+
+    const records = await Record.find({
+      date: businessRangeQuery(start, end)
+    }).populate('customer', 'name customerNo');
+
+    const repaired = [];
+    for (const record of records) {
+      if (!record.hasInconsistentTotals()) continue;
+
+      const before = snapshotRecord(record);
+      const stored = { totalDailyQuantity: record.totalDailyQuantity, totalDailyPrice: record.totalDailyPrice };
+
+      record.recalculateTotals();
+      if (dryRun === false) {
+        await record.save();
+        await logRecordRevision(record, before, {
+          action: 'repair',
+          reason: 'Totals recalculated from milk items',
+          changedBy: req.admin?._id
+        });
+      }
+
+      repaired.push({
+        _id: record._id,
+        date: formatBusinessDate(record.date),
+        customer: record.customer,
+        stored,
+        calculated: { totalDailyQuantity: record.totalDailyQuantity, totalDailyPrice: record.totalDailyPrice }
+      });
+    }
+
+    res.json({
+      success: true,
+      dryRun: dryRun !== false,
+      scanned: records.length,
+      inconsistent: repaired.length,
+      data: repaired
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Populate the references in revision entries for display
+const populateRevisions = (query) => query
+  .populate('changedBy', 'username')
+  .populate('customer', 'name customerNo')
+  .populate('before.items.milkType after.items.milkType', 'name')
+  .populate('before.items.subcategory after.items.subcategory', 'name');
+
+// @desc    Get the change history of a record
+// @route   GET /api/records/:id/history
+// @access  Private/Admin
+const getRecordHistory = async (req, res) => {
+  try {
+    const revisions = await populateRevisions(
+      RecordRevision.find({ record: req.params.id }).sort({ createdAt: -1 })
+    );
+
+    // A deleted record still has its history
+    if (revisions.length === 0 && !(await Record.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Record not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Record not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the change history of a customer's records for a month
+// @route   GET /api/records/customer/:id/history?month=MM&year=YYYY
+// @access  Private/Admin
+const getCustomerRecordHistory = async (req, res) => {
+  try {
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+
+    if (!month || !year || month < 1 || month > 12) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid month (1-12) and year'
+      });
+    }
+
+    const { start, end } = monthRange(year, month);
+
+    const revisions = await populateRevisions(
+      RecordRevision.find({
+        customer: req.params.id,
+        date: { $gte: start, $lte: end }
+      }).sort({ date: 1, createdAt: 1 })
+    );
+
+    res.json({
+      success: true,
+      month,
+      year,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 export {
   getRecords,
   createDailyRecords,
+  catchUpRecords,
   getRecordsSummary,
   getRecordById,
   updateRecord,
+  confirmRecordDelivery,
   deleteRecord,
-  getRecordsByCustomer
+  getRecordsByCustomer,
+  getRecordHistory,
+  getCustomerRecordHistory,
+  repairRecordTotals
 };
\ No newline at end of file
@@ -0,0 +1,531 @@
+import Route from '../models/Route.js';
+import Record from '../models/Record.js';
+import Customer from '../models/Customer.js';
+import ExtraOrder from '../models/ExtraOrder.js';
+import SystemConfig from '../models/SystemConfig.js';
+import { checkIfHoliday, getCustomerHolidaySlots } from '../utils/holidayUtils.js';
+import {
+  toId,
+  hasJoinedBy,
+  getPausedSlots,
+  isScheduledOn,
+  getScheduleForDate,
+  findUpdateForItem,
+  buildDeliverySchedule,
+  addExtraOrders
+} from '../utils/deliveryPlanner.js';
+import { generateDeliverySheetPDF } from '../utils/deliverySheetPdf.js';
+import { getQuantityUpdatePolicy, findAppliedUpdates } from '../utils/quantityUpdatePolicy.js';
+import {
+  dairyMoment,
+  parseBusinessDate,
+  formatBusinessDate,
+  businessDayQuery,
+  today
+} from '../utils/businessDate.js';
+
+// Create a wrapper to handle errors in async functions
+const tryCatch = (controller) => async (req, res, next) => {
+  try {
+    await controller(req, res);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: error.message || "Server Error",
+    });
+  }
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Parse a YYYY-MM-DD date, defaulting to today
+const parseManifestDate = (value) => {
+  const date = value ? parseBusinessDate(value) : today();
+  if (!date) {
+    throw httpError(400, 'Invalid date format. Please use YYYY-MM-DD format');
+  }
+  return date;
+};
+
+const getMilkmen = async () => {
+  const config = await SystemConfig.findOne();
+  return config ? config.milkmen : [];
+};
+
+const formatMilkman = (milkmen, milkmanId) => {
+  const milkman = milkmen.find(m => m._id.toString() === toId(milkmanId));
+  return milkman
+    ? { _id: milkman._id, name: milkman.name, phoneNumber: milkman.phoneNumber, isActive: milkman.isActive }
+    : null;
+};
+
+// Validate milkman, slot and stops before saving a route
+const validateRoute = async ({ milkman, slot, stops }, routeId) => {
+  if (milkman !== undefined) {
+    const milkmen = await getMilkmen();
+    if (!formatMilkman(milkmen, milkman)) {
+      throw httpError(400, 'Milkman not found in system configuration');
+    }
+  }
+
+  if (slot !== undefined && !['morning', 'evening'].includes(slot)) {
+    throw httpError(400, 'Slot must be either morning or evening');
+  }
+
+  if (stops === undefined) return;
+
+  if (!Array.isArray(stops)) {
+    throw httpError(400, 'Stops must be an array');
+  }
+
+  const customerIds = stops.map(stop => toId(stop.customer));
+  if (customerIds.some(id => !id)) {
+    throw httpError(400, 'Every stop must have a customer');
+  }
+
+  const customerCount = await Customer.countDocuments({ _id: { $in: customerIds } });
+  if (customerCount !== new Set(customerIds).size) {
+    throw httpError(400, 'One or more stop customers do not exist');
+  }
+
+  // A customer can only be on one active route per slot
+  const conflicting = await Route.findOne({
+    _id: { $ne: routeId },
+    slot,
+    isActive: true,
+    'stops.customer': { $in: customerIds }
+  });
+
+  if (conflicting) {
+    throw httpError(400, `One or more customers are already assigned to the ${slot} route "${conflicting.name}"`);
+  }
+};
+
+// Normalise stops from the request body. Accepts either customer ids or
+// { customer, notes } objects; the array order is the delivery order.
+const normaliseStops = (stops) => stops?.map(stop =>
+  typeof stop === 'object' && stop.customer
+    ? { customer: toId(stop.customer), notes: stop.notes }
+    : { customer: toId(stop) }
+);
+
+const populateRoute = (query) => query.populate('stops.customer', 'name customerNo phoneNo address isActive');
+
+// Build the delivery manifest for a route on a given day
+const buildRouteManifest = async (route, date, { holiday, milkmen }) => {
+  // Only a holiday covering the route's slot for everyone stops the round
+  const isHoliday = holiday.slots.includes(route.slot);
+  const manifest = {
+    route: { _id: route._id, name: route.name, slot: route.slot },
+    milkman: formatMilkman(milkmen, route.milkman),
+    date: formatBusinessDate(date),
+    holiday: isHoliday ? { name: holiday.holidayName, reason: holiday.holidayDetails?.reason } : null,
+    stops: [],
+    skipped: [],
+    totals: [],
+    totalQuantity: 0
+  };
+
+  if (isHoliday) return manifest;
+
+  const customerIds = route.stops.map(stop => toId(stop.customer));
+  const customers = await Customer.find({ _id: { $in: customerIds } })
+    .populate('deliverySchedule.milkItems.milkType', 'name')
+    .populate('deliverySchedule.milkItems.subcategory', 'name')
+    .populate('scheduleRevisions.deliverySchedule.milkItems.milkType', 'name')
+    .populate('scheduleRevisions.deliverySchedule.milkItems.subcategory', 'name');
+  const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+  // Quantity changes affect what goes out on the route as they do records
+  const updates = await findAppliedUpdates(date, await getQuantityUpdatePolicy(), {
+    customer: { $in: customerIds },
+    time: route.slot
+  });
+
+  // One-off extra orders for the slot, whether or not already in a record
+  const extraOrders = await ExtraOrder.find({
+    customer: { $in: customerIds },
+    date: businessDayQuery(date),
+    time: route.slot,
+    status: { $ne: 'cancelled' }
+  })
+    .populate('milkType', 'name')
+    .populate('subcategory', 'name');
+
+  // Records already generated for the day, so stops can be confirmed
+  const records = await Record.find({ customer: { $in: customerIds }, date: businessDayQuery(date) })
+    .select('customer deliverySchedule.time deliverySchedule.deliveryStatus');
+  const recordsByCustomer = new Map(records.map(record => [record.customer.toString(), record]));
+
+  const totals = new Map();
+
+  route.stops.forEach((stop, index) => {
+    const customer = customersById.get(toId(stop.customer));
+    if (!customer) return;
+
+    const stopInfo = {
+      sequence: index + 1,
+      customer: {
+        _id: customer._id,
+        customerNo: customer.customerNo,
+        name: customer.name,
+        phoneNo: customer.phoneNo,
+        address: customer.address
+      },
+      notes: stop.notes
+    };
+
+    if (!customer.isActive) {
+      manifest.skipped.push({ ...stopInfo, reason: 'Customer is inactive' });
+      return;
+    }
+
+    if (!hasJoinedBy(customer, date)) {
+      manifest.skipped.push({ ...stopInfo, reason: `Customer joins on ${customer.joinedDate}` });
+      return;
+    }
+
+    if (getPausedSlots(customer, date).includes(route.slot)) {
+      const pause = customer.pausePeriods.find(p =>
+        p.startDate <= date && date <= p.endDate && (!p.slot || p.slot === route.slot)
+      );
+      manifest.skipped.push({ ...stopInfo, reason: `Deliveries paused${pause?.reason ? `: ${pause.reason}` : ''}` });
+      return;
+    }
+
+    if (getCustomerHolidaySlots(holiday, customer).includes(route.slot)) {
+      manifest.skipped.push({ ...stopInfo, reason: `Holiday: ${holiday.holidayName}` });
+      return;
+    }
+
+    const customerExtras = extraOrders.filter(order => order.customer.toString() === customer._id.toString());
+    const scheduledDelivery = getScheduleForDate(customer, date).find(d => d.time === route.slot);
+    const isDeliveryDay = !scheduledDelivery || isScheduledOn(scheduledDelivery, date);
+    if (!isDeliveryDay && customerExtras.length === 0) {
+      manifest.skipped.push({ ...stopInfo, reason: 'Not a delivery day for this customer' });
+      return;
+    }
+
+    const customerUpdates = updates.filter(u => u.customer.toString() === customer._id.toString());
+    const { deliverySchedule } = addExtraOrders(
+      isDeliveryDay
+        ? buildDeliverySchedule(customer, date, customerUpdates, { slots: [route.slot] }).deliverySchedule
+        : [],
+      customerExtras
+    );
+    const delivery = deliverySchedule[0];
+
+    if (!delivery || delivery.totalQuantity === 0) {
+      manifest.skipped.push({ ...stopInfo, reason: `No ${route.slot} delivery scheduled` });
+      return;
+    }
+
+    const items = delivery.milkItems
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        milkType: item.milkType,
+        subcategory: item.subcategory,
+        quantity: item.quantity,
+        isChanged: !item.isExtra && Boolean(findUpdateForItem(customerUpdates, route.slot, item)),
+        isExtra: Boolean(item.isExtra)
+      }));
+
+    items.forEach(item => {
+      const key = `${toId(item.milkType)}-${toId(item.subcategory)}`;
+      const total = totals.get(key) || { milkType: item.milkType, subcategory: item.subcategory, quantity: 0 };
+      total.quantity += item.quantity;
+      totals.set(key, total);
+    });
+
+    const record = recordsByCustomer.get(customer._id.toString());
+    const recordDelivery = record?.deliverySchedule.find(d => d.time === route.slot);
+
+    manifest.stops.push({
+      ...stopInfo,
+      items,
+      totalQuantity: delivery.totalQuantity,
+      recordId: record ? record._id : null,
+      deliveryStatus: recordDelivery ? recordDelivery.deliveryStatus : 'pending'
+    });
+    manifest.totalQuantity += delivery.totalQuantity;
+  });
+
+  manifest.totals = [...totals.values()];
+
+  return manifest;
+};
+
+// Customers with a delivery in one of the slots on the date who are on no
+// active route for that slot. Deliveries the customer has off for a holiday
+// are left out.
+const findUnassignedCustomers = async (date, slots, holiday) => {
+  const allRoutes = await Route.find({ isActive: true, slot: { $in: slots } }).select('slot stops.customer');
+  const customers = await Customer.find({
+    isActive: true,
+    $or: [
+      { 'deliverySchedule.time': { $in: slots } },
+      { 'scheduleRevisions.deliverySchedule.time': { $in: slots } }
+    ]
+  }).select('name customerNo address area deliverySchedule.time scheduleRevisions.effectiveFrom scheduleRevisions.deliverySchedule.time');
+
+  const unassigned = [];
+  customers.forEach(customer => {
+    const holidaySlots = getCustomerHolidaySlots(holiday, customer);
+    getScheduleForDate(customer, date)
+      .filter(delivery => slots.includes(delivery.time) && !holidaySlots.includes(delivery.time))
+      .forEach(delivery => {
+        const assigned = allRoutes.some(route =>
+          route.slot === delivery.time &&
+          route.stops.some(stop => stop.customer.toString() === customer._id.toString())
+        );
+        if (!assigned) {
+          unassigned.push({
+            _id: customer._id,
+            customerNo: customer.customerNo,
+            name: customer.name,
+            address: customer.address,
+            slot: delivery.time
+          });
+        }
+      });
+  });
+
+  return unassigned;
+};
+
+// @desc    Get all delivery routes
+// @route   GET /api/routes
+// @access  Private/Admin
+const getRoutes = tryCatch(async (req, res) => {
+  const { slot, milkman, isActive } = req.query;
+
+  const conditions = {};
+  if (slot) conditions.slot = slot;
+  if (milkman) conditions.milkman = milkman;
+  if (isActive !== undefined) conditions.isActive = isActive === 'true';
+
+  const [routes, milkmen] = await Promise.all([
+    populateRoute(Route.find(conditions)).sort({ slot: 1, name: 1 }),
+    getMilkmen()
+  ]);
+
+  res.json(routes.map(route => ({
+    ...route.toObject(),
+    milkman: formatMilkman(milkmen, route.milkman)
+  })));
+});
+
+// @desc    Get route by ID
+// @route   GET /api/routes/:id
+// @access  Private/Admin
+const getRouteById = tryCatch(async (req, res) => {
+  const route = await populateRoute(Route.findById(req.params.id));
+
+  if (!route) {
+    return res.status(404).json({ message: "Route not found" });
+  }
+
+  const milkmen = await getMilkmen();
+  res.json({ ...route.toObject(), milkman: formatMilkman(milkmen, route.milkman) });
+});
+
+// @desc    Create a delivery route
+// @route   POST /api/routes
+// @access  Private/Admin
+const createRoute = tryCatch(async (req, res) => {
+  const { name, milkman, slot, isActive } = req.body;
+  const stops = normaliseStops(req.body.stops) || [];
+
+  if (!name || !milkman || !slot) {
+    return res.status(400).json({ message: 'Name, milkman and slot are required' });
+  }
+
+  const routeExists = await Route.findOne({ name });
+  if (routeExists) {
+    return res.status(400).json({ message: 'Route with this name already exists' });
+  }
+
+  await validateRoute({ milkman, slot, stops });
+
+  const route = await Route.create({ name, milkman, slot, stops, isActive });
+
+  res.status(201).json(await populateRoute(Route.findById(route._id)));
+});
+
+// @desc    Update a delivery route (including stop order)
+// @route   PUT /api/routes/:id
+// @access  Private/Admin
+const updateRoute = tryCatch(async (req, res) => {
+  const route = await Route.findById(req.params.id);
+
+  if (!route) {
+    return res.status(404).json({ message: "Route not found" });
+  }
+
+  const { name, milkman, slot, isActive } = req.body;
+  const stops = normaliseStops(req.body.stops);
+
+  if (name && name !== route.name) {
+    const nameExists = await Route.findOne({ name });
+    if (nameExists) {
+      return res.status(400).json({ message: 'Route with this name already exists' });
+    }
+  }
+
+  await validateRoute({
+    milkman,
+    slot: slot || route.slot,
+    stops: stops || route.stops.map(stop => ({ customer: stop.customer }))
+  }, route._id);
+
+  route.name = name || route.name;
+  route.milkman = milkman || route.milkman;
+  route.slot = slot || route.slot;
+  route.isActive = isActive !== undefined ? isActive : route.isActive;
+
+  if (stops) {
+    route.stops = stops;
+  }
+
+  await route.save();
+
+  res.json(await populateRoute(Route.findById(route._id)));
+});
+
+// @desc    Delete a delivery route
+// @route   DELETE /api/routes/:id
+// @access  Private/Admin
+const deleteRoute = tryCatch(async (req, res) => {
+  const route = await Route.findById(req.params.id);
+
+  if (!route) {
+    return res.status(404).json({ message: "Route not found" });
+  }
+
+  await route.deleteOne();
+
+  res.json({ message: "Route removed", routeId: route._id });
+});
+
+// @desc    Get the delivery manifest for one route
+// @route   GET /api/routes/:id/manifest?date=YYYY-MM-DD
+// @access  Private/Admin
+const getRouteManifest = tryCatch(async (req, res) => {
+  const date = parseManifestDate(req.query.date);
+  const route = await Route.findById(req.params.id);
+
+  if (!route) {
+    return res.status(404).json({ message: "Route not found" });
+  }
+
+  const [holiday, milkmen] = await Promise.all([checkIfHoliday(date), getMilkmen()]);
+
+  res.json(await buildRouteManifest(route, date, { holiday, milkmen }));
+});
+
+// @desc    Get the day's manifests for all active routes
+// @route   GET /api/routes/manifest?date=YYYY-MM-DD&slot=morning
+// @access  Private/Admin
+const getDailyManifests = tryCatch(async (req, res) => {
+  const date = parseManifestDate(req.query.date);
+  const { slot, milkman } = req.query;
+
+  const conditions = { isActive: true };
+  if (slot) conditions.slot = slot;
+  if (milkman) conditions.milkman = milkman;
+
+  const [routes, holiday, milkmen] = await Promise.all([
+    Route.find(conditions).sort({ slot: 1, name: 1 }),
+    checkIfHoliday(date),
+    getMilkmen()
+  ]);
+
+  const manifests = [];
+  for (const route of routes) {
+    manifests.push(await buildRouteManifest(route, date, { holiday, milkmen }));
+  }
+
+  // Customers who have a delivery in a slot but are on no route for it
+  const openSlots = (slot ? [slot] : ['morning', 'evening']).filter(time => !holiday.slots.includes(time));
+  const unassigned = openSlots.length === 0
+    ? []
+    : await findUnassignedCustomers(date, openSlots, holiday);
+
+  res.json({
+    date: formatBusinessDate(date),
+    holiday: holiday.isHoliday ? { name: holiday.holidayName, slots: holiday.slots } : null,
+    manifests,
+    unassigned
+  });
+});
+
+// @desc    Download the delivery sheet PDF for a slot
+// @route   GET /api/routes/delivery-sheet?date=YYYY-MM-DD&slot=morning&milkman=&route=
+// @access  Private/Admin
+const getDeliverySheet = tryCatch(async (req, res) => {
+  const date = parseManifestDate(req.query.date);
+  const { slot, milkman, route: routeId } = req.query;
+
+  if (!['morning', 'evening'].includes(slot)) {
+    throw httpError(400, 'Slot must be either morning or evening');
+  }
+
+  const conditions = { isActive: true, slot };
+  if (milkman) conditions.milkman = milkman;
+  if (routeId) conditions._id = routeId;
+
+  const [routes, holiday, milkmen] = await Promise.all([
+    Route.find(conditions).sort({ name: 1 }),
+    checkIfHoliday(date),
+    getMilkmen()
+  ]);
+
+  if (routeId && routes.length === 0) {
+    throw httpError(404, 'Route not found');
+  }
+
+  const manifests = [];
+  for (const route of routes) {
+    manifests.push(await buildRouteManifest(route, date, { holiday, milkmen }));
+  }
+
+  // The full sheet for a slot also covers customers who are on no route
+  const isHoliday = holiday.slots.includes(slot);
+  if (!milkman && !routeId && !isHoliday) {
+    const unassigned = await findUnassignedCustomers(date, [slot], holiday);
+    if (unassigned.length > 0) {
+      manifests.push(await buildRouteManifest({
+        _id: null,
+        name: 'રૂટ વગરના ગ્રાહકો',
+        slot,
+        milkman: null,
+        stops: unassigned.map(customer => ({ customer: customer._id }))
+      }, date, { holiday, milkmen }));
+    }
+  }
+
+  const day = formatBusinessDate(date);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=delivery-sheet-${day}-${slot}.pdf`);
+
+  generateDeliverySheetPDF({
+    date: dairyMoment(date).format('DD/MM/YYYY'),
+    slot,
+    holiday: isHoliday ? { name: holiday.holidayName } : null,
+    manifests
+  }, res);
+});
+
+export {
+  getRoutes,
+  getRouteById,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+  getRouteManifest,
+  getDailyManifests,
+  getDeliverySheet
+};
@@ -1,5 +1,6 @@
 import Subcategory from '../models/Subcategory.js';
 import Category from '../models/Category.js';
+import { parseBusinessDate, today } from '../utils/businessDate.js';
 
 // @desc    Get all subcategories
 // @route   GET /api/subcategories
@@ -59,10 +60,14 @@ const createSubcategory = async (req, res) => {
       return res.status(400).json({ message: 'Subcategory already exists in this category' });
     }
     
+    // Start the price list from today
     const subcategory = await Subcategory.create({
       name,
       category,
       price,
+      priceHistory: price !== undefined
+        ? [{ price, effectiveFrom: today(), createdBy: req.admin?._id }]
+        : [],
       description,
       isActive,
     });
@@ -110,7 +115,11 @@ const updateSubcategory = async (req, res) => {
       
       subcategory.name = name || subcategory.name;
       subcategory.category = category || subcategory.category;
-      subcategory.price = price !== undefined ? price : subcategory.price;
+      // A new price applies from today and is kept in the price list
+      if (price !== undefined && price !== subcategory.price) {
+        subcategory.setPriceFrom(price, today(), { createdBy: req.admin?._id });
+        subcategory.price = price;
+      }
       subcategory.description = description !== undefined ? description : subcategory.description;
       subcategory.isActive = isActive !== undefined ? isActive : subcategory.isActive;
       
@@ -142,10 +151,109 @@ const deleteSubcategory = async (req, res) => {
   }
 };
 
+// @desc    Get the price list of a subcategory
+// @route   GET /api/subcategories/:id/prices
+// @access  Public
+const getSubcategoryPrices = async (req, res) => {
+  try {
+    const subcategory = await Subcategory.findById(req.params.id)
+      .populate('category', 'name')
+      .populate('priceHistory.createdBy', 'username');
+
+    if (!subcategory) {
+      return res.status(404).json({ message: 'Subcategory not found' });
+    }
+
+    const day = today();
+    const current = subcategory.getPriceEntryOn(day);
+
+    res.json({
+      _id: subcategory._id,
+      name: subcategory.name,
+      category: subcategory.category,
+      currentPrice: subcategory.getPriceOn(day),
+      currentEntry: current ? current._id : null,
+      priceHistory: [...subcategory.priceHistory].sort((a, b) => b.effectiveFrom - a.effectiveFrom)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Add a price to a subcategory's price list
+// @route   POST /api/subcategories/:id/prices
+// @access  Private/Admin
+const addSubcategoryPrice = async (req, res) => {
+  try {
+    const { price, effectiveFrom, note } = req.body;
+
+    if (price === undefined || isNaN(Number(price)) || Number(price) < 0) {
+      return res.status(400).json({ message: 'Please provide a valid price' });
+    }
+
+    const startDate = effectiveFrom ? parseBusinessDate(effectiveFrom) : today();
+    if (!startDate) {
+      return res.status(400).json({ message: 'Invalid effective date format. Please use YYYY-MM-DD format' });
+    }
+
+    const subcategory = await Subcategory.findById(req.params.id);
+
+    if (!subcategory) {
+      return res.status(404).json({ message: 'Subcategory not found' });
+    }
+
+    const entry = subcategory.setPriceFrom(Number(price), startDate, { note, createdBy: req.admin?._id });
+    await subcategory.save();
+
+    res.status(201).json({
+      _id: subcategory._id,
+      name: subcategory.name,
+      currentPrice: subcategory.price,
+      entry,
+      priceHistory: subcategory.priceHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Remove a price that has not taken effect yet
+// @route   DELETE /api/subcategories/:id/prices/:priceId
+// @access  Private/Admin
+const deleteSubcategoryPrice = async (req, res) => {
+  try {
+    const subcategory = await Subcategory.findById(req.params.id);
+
+    if (!subcategory) {
+      return res.status(404).json({ message: 'Subcategory not found' });
+    }
+
+    const entry = subcategory.priceHistory.id(req.params.priceId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Price entry not found' });
+    }
+
+    // Prices already in force have been used for records and stay as history
+    if (entry.effectiveFrom <= today()) {
+      return res.status(400).json({ message: 'Only prices that have not taken effect yet can be removed' });
+    }
+
+    subcategory.priceHistory.pull(entry._id);
+    await subcategory.save();
+
+    res.json({ message: 'Price entry removed', priceHistory: subcategory.priceHistory });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 export { 
   getSubcategories, 
   getSubcategoryById, 
   createSubcategory, 
   updateSubcategory, 
-  deleteSubcategory 
+  deleteSubcategory,
+  getSubcategoryPrices,
+  addSubcategoryPrice,
+  deleteSubcategoryPrice
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import SystemConfig from '../models/SystemConfig.js';
+import { QUANTITY_UPDATE_POLICIES } from '../utils/quantityUpdatePolicy.js';
 
 // Create a wrapper to handle errors in async functions
 const tryCatch = (controller) => async (req, res, next) => {
@@ -34,7 +35,34 @@ const getSystemConfig = tryCatch(async (req, res) => {
 // @route   PUT /api/config
 // @access  Private/Admin
 const updateSystemConfig = tryCatch(async (req, res) => {
-    const { morningTime, eveningTime, companyName, contactEmail, address } = req.body;
+    const {
+        morningTime,
+        eveningTime,
+        companyName,
+        contactEmail,
+        address,
+        changeCutoffHours,
+        lateChangePolicy,
+        quantityUpdatePolicy
+    } = req.body;
+
+    if (changeCutoffHours !== undefined && (typeof changeCutoffHours !== 'number' || changeCutoffHours < 0)) {
+        return res.status(400).json({
+            message: 'Change cutoff hours must be a number of 0 or more'
+        });
+    }
+
+    if (lateChangePolicy !== undefined && !['reject', 'defer'].includes(lateChangePolicy)) {
+        return res.status(400).json({
+            message: 'Late change policy must be either reject or defer'
+        });
+    }
+
+    if (quantityUpdatePolicy !== undefined && !QUANTITY_UPDATE_POLICIES[quantityUpdatePolicy]) {
+        return res.status(400).json({
+            message: 'Quantity update policy must be either accepted or accepted-and-pending'
+        });
+    }
 
     let config = await SystemConfig.findOne();
 
@@ -46,6 +74,9 @@ const updateSystemConfig = tryCatch(async (req, res) => {
             companyName: companyName || "Ramdev Dairy Farm",
             contactEmail: contactEmail || "info@ramdevdairy.com",
             address: address || "",
+            changeCutoffHours: changeCutoffHours ?? 2,
+            lateChangePolicy: lateChangePolicy || "reject",
+            quantityUpdatePolicy: quantityUpdatePolicy || "accepted",
             milkmen: []
         });
     } else {
@@ -55,6 +86,9 @@ const updateSystemConfig = tryCatch(async (req, res) => {
         config.companyName = companyName || config.companyName;
         config.contactEmail = contactEmail || config.contactEmail;
         config.address = address || config.address;
+        config.changeCutoffHours = changeCutoffHours ?? config.changeCutoffHours;
+        config.lateChangePolicy = lateChangePolicy || config.lateChangePolicy;
+        config.quantityUpdatePolicy = quantityUpdatePolicy || config.quantityUpdatePolicy;
 
         await config.save();
     }
@@ -27,6 +27,25 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Identify the admin when a valid token is sent, but let anonymous and
+// customer requests through
+const optionalProtect = async (req, res, next) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.admin = await Admin.findById(decoded.id).select('-password');
+    } catch (error) {
+      req.admin = null;
+    }
+  }
+
+  next();
+};
+
 const admin = (req, res, next) => {
   if (req.admin && req.admin.isAdmin) {
     next();
@@ -35,4 +54,4 @@ const admin = (req, res, next) => {
   }
 };
 
-export { protect, admin };
\ No newline at end of file
+export { protect, optionalProtect, admin };
\ No newline at end of file
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { dairyMoment, parseIndianDate, today, dateOnlyJSON } from '../utils/businessDate.js';
 
 // Schema for individual milk item
 const milkItemSchema = mongoose.Schema({
@@ -23,6 +24,13 @@ const milkItemSchema = mongoose.Schema({
     required: true,
     min: 0
   },
+  // A negotiated rate: records keep pricePerUnit instead of following the
+  // subcategory price list. Schedules saved from a request have it set by
+  // flagCustomRates in utils/priceLists.js.
+  isCustomRate: {
+    type: Boolean,
+    default: false
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -30,6 +38,52 @@ const milkItemSchema = mongoose.Schema({
   }
 });
 
+// Recurrence rule for a delivery time. Without a rule (or with the daily
+// pattern) the slot is delivered every day.
+const recurrenceSchema = mongoose.Schema({
+  pattern: {
+    type: String,
+    enum: ['daily', 'interval', 'weekdays'],
+    default: 'daily'
+  },
+  // Deliver every N days counted from anchorDate (interval pattern)
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  anchorDate: {
+    type: Date
+  },
+  // Days of the week to deliver on, 0 = Sunday (weekdays pattern)
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Quantity overrides for particular days of the week. Without a
+  // subcategory the override applies to every milk item in the slot.
+  dayQuantities: [{
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    subcategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subcategory'
+    },
+    quantity: {
+      type: Number,
+      min: 0,
+      required: true
+    }
+  }]
+}, { _id: false });
+
+recurrenceSchema.set('toJSON', dateOnlyJSON('anchorDate'));
+
 // Schema for delivery time (morning/evening) containing multiple milk items
 const deliveryTimeSchema = mongoose.Schema({
   time: {
@@ -37,6 +91,7 @@ const deliveryTimeSchema = mongoose.Schema({
     enum: ['morning', 'evening'],
     required: true
   },
+  recurrence: recurrenceSchema,
   milkItems: [milkItemSchema], // Array of different milk types
   totalQuantity: {
     type: Number,
@@ -48,6 +103,57 @@ const deliveryTimeSchema = mongoose.Schema({
   }
 });
 
+// Schema for a period when deliveries are paused (e.g. customer out of town).
+// Both dates are inclusive; leave slot empty to pause the whole day.
+const pausePeriodSchema = mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  slot: {
+    type: String,
+    enum: ['morning', 'evening']
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+pausePeriodSchema.set('toJSON', dateOnlyJSON('startDate', 'endDate'));
+
+// A delivery schedule that takes effect from a given date. Revisions are
+// kept as history; record generation uses the one in force on each day.
+const scheduleRevisionSchema = mongoose.Schema({
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  deliverySchedule: [deliveryTimeSchema],
+  note: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // When the revision was copied into the customer's current schedule
+  appliedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+scheduleRevisionSchema.set('toJSON', dateOnlyJSON('effectiveFrom'));
+
 const customerSchema = mongoose.Schema(
   {
     customerNo: {
@@ -74,12 +180,15 @@ const customerSchema = mongoose.Schema(
       trim: true,
       index: true,
     },
+    // Locality used to group customers in reports and holidays
+    area: {
+      type: String,
+      trim: true,
+      index: true,
+    },
     joinedDate: {
       type: String,
-      default: () => {
-        const now = new Date();
-        return `${now.getDate().toString().padStart(2, '0')}/${(now.getMonth() + 1).toString().padStart(2, '0')}/${now.getFullYear()}`;
-      },
+      default: () => dairyMoment().format('DD/MM/YYYY'),
       index: true,
     },
 
@@ -87,7 +196,14 @@ const customerSchema = mongoose.Schema(
     // Each delivery time can have multiple milk types
     deliverySchedule: [deliveryTimeSchema],
 
-    // Overall totals
+    pausePeriods: [pausePeriodSchema],
+
+    scheduleRevisions: [scheduleRevisionSchema],
+
+    // Overall totals for a day on which every slot is delivered at its base
+    // quantities. Recurrence rules and day-of-week quantities are not taken
+    // into account, so these do not give the demand for a particular day;
+    // use buildDeliverySchedule in utils/deliveryPlanner.js for that.
     totalDailyQuantity: {
       type: Number,
       default: 0,
@@ -126,6 +242,8 @@ const customerSchema = mongoose.Schema(
 customerSchema.index({ name: 'text', address: 'text', phoneNo: 'text' });
 customerSchema.index({ 'deliverySchedule.milkItems.milkType': 1 });
 customerSchema.index({ 'deliverySchedule.time': 1 });
+customerSchema.index({ 'pausePeriods.startDate': 1, 'pausePeriods.endDate': 1 });
+customerSchema.index({ 'scheduleRevisions.effectiveFrom': 1 });
 
 // Pre-save middleware to calculate totals
 deliveryTimeSchema.pre('save', function (next) {
@@ -141,28 +259,62 @@ milkItemSchema.pre('save', function (next) {
   next();
 });
 
-// Pre-save middleware for customer to calculate overall totals
-customerSchema.pre('save', function (next) {
+// Validate a delivery schedule. Returns an error message, or null when valid.
+const validateDeliverySchedule = (deliverySchedule) => {
   // Validation to ensure only one delivery per time slot
-  const times = this.deliverySchedule.map(d => d.time);
+  const times = deliverySchedule.map(d => d.time);
   const uniqueTimes = [...new Set(times)];
 
   if (times.length !== uniqueTimes.length) {
-    return next(new Error('Cannot have multiple delivery schedules for the same time slot'));
+    return 'Cannot have multiple delivery schedules for the same time slot';
   }
 
-  // Recalculate totals for each delivery time
-  this.deliverySchedule.forEach(delivery => {
+  // Validation to ensure recurrence rules are complete
+  for (const delivery of deliverySchedule) {
+    const rule = delivery.recurrence;
+    if (rule?.pattern === 'interval' && !rule.anchorDate) {
+      return `The ${delivery.time} delivery repeats every ${rule.interval} days but has no anchor date`;
+    }
+    if (rule?.pattern === 'weekdays' && rule.daysOfWeek.length === 0) {
+      return `The ${delivery.time} delivery repeats on weekdays but has no days selected`;
+    }
+  }
+
+  return null;
+};
+
+// Recalculate totals for each delivery time
+const calculateDeliveryTotals = (deliverySchedule) => {
+  deliverySchedule.forEach(delivery => {
     delivery.milkItems.forEach(item => {
       item.totalPrice = item.quantity * item.pricePerUnit;
     });
     delivery.totalQuantity = delivery.milkItems.reduce((sum, item) => sum + item.quantity, 0);
     delivery.totalPrice = delivery.milkItems.reduce((sum, item) => sum + item.totalPrice, 0);
   });
+};
 
-  // Calculate overall daily totals
-  this.totalDailyQuantity = this.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalQuantity, 0);
-  this.totalDailyPrice = this.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalPrice, 0);
+// Recalculate the overall totals from the current schedule. These are
+// per-delivery-day figures (see the schema fields).
+const calculateOverallTotals = (customer) => {
+  customer.totalDailyQuantity = customer.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalQuantity, 0);
+  customer.totalDailyPrice = customer.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalPrice, 0);
+};
+
+// Pre-save middleware for customer to validate schedules and calculate
+// overall totals
+customerSchema.pre('save', function (next) {
+  const schedules = [this.deliverySchedule, ...this.scheduleRevisions.map(r => r.deliverySchedule)];
+
+  for (const schedule of schedules) {
+    const error = validateDeliverySchedule(schedule);
+    if (error) {
+      return next(new Error(error));
+    }
+    calculateDeliveryTotals(schedule);
+  }
+
+  calculateOverallTotals(this);
 
   next();
 });
@@ -238,6 +390,84 @@ customerSchema.methods.updateMilkItemQuantity = function (time, milkTypeId, subc
   }
 };
 
+// Latest revision in force on the given date
+const getRevisionInForce = (revisions, date) => revisions
+  .filter(revision => revision.effectiveFrom <= date)
+  .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+
+// Schedule a new delivery schedule from a date. A revision due today or
+// earlier also replaces the current schedule straight away; later ones are
+// applied by the scheduled job on the day.
+customerSchema.methods.reviseSchedule = function (deliverySchedule, effectiveFrom, { note, createdBy } = {}) {
+  // Keep the schedule in force before the first revision so history is complete
+  if (this.scheduleRevisions.length === 0 && this.deliverySchedule.length > 0) {
+    this.scheduleRevisions.push({
+      effectiveFrom: parseIndianDate(this.joinedDate) || new Date(0),
+      deliverySchedule: this.deliverySchedule.map(delivery => delivery.toObject()),
+      note: 'Schedule before the first revision',
+      appliedAt: new Date()
+    });
+  }
+
+  // A new revision for the same day replaces the old one
+  this.scheduleRevisions = this.scheduleRevisions.filter(
+    revision => revision.effectiveFrom.getTime() !== effectiveFrom.getTime()
+  );
+
+  this.scheduleRevisions.push({ effectiveFrom, deliverySchedule, note, createdBy });
+  this.scheduleRevisions.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+
+  if (effectiveFrom <= today()) {
+    this.applyDueScheduleRevision();
+  }
+
+  return this.scheduleRevisions.find(revision => revision.effectiveFrom.getTime() === effectiveFrom.getTime());
+};
+
+// Copy the revision in force today into the current schedule
+customerSchema.methods.applyDueScheduleRevision = function () {
+  const startOfToday = today();
+
+  const revision = getRevisionInForce(this.scheduleRevisions, startOfToday);
+  if (!revision) return null;
+
+  this.deliverySchedule = revision.deliverySchedule.map(delivery => delivery.toObject());
+  this.scheduleRevisions.forEach(r => {
+    if (r.effectiveFrom <= startOfToday && !r.appliedAt) {
+      r.appliedAt = new Date();
+    }
+  });
+
+  return revision;
+};
+
+// Save changes to the schedule and revisions. Updates the document directly
+// because the save hooks reset the password.
+customerSchema.methods.saveScheduleChanges = async function () {
+  const schedules = [this.deliverySchedule, ...this.scheduleRevisions.map(r => r.deliverySchedule)];
+
+  for (const schedule of schedules) {
+    const error = validateDeliverySchedule(schedule);
+    if (error) {
+      throw new Error(error);
+    }
+    calculateDeliveryTotals(schedule);
+  }
+
+  calculateOverallTotals(this);
+
+  await this.constructor.updateOne({ _id: this._id }, {
+    $set: {
+      deliverySchedule: this.deliverySchedule,
+      scheduleRevisions: this.scheduleRevisions,
+      totalDailyQuantity: this.totalDailyQuantity,
+      totalDailyPrice: this.totalDailyPrice
+    }
+  }, { runValidators: true });
+
+  return this;
+};
+
 customerSchema.methods.removeDeliveryTime = function (time) {
   this.deliverySchedule = this.deliverySchedule.filter(d => d.time !== time);
 };
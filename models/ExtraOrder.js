@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { dateOnlyJSON } from '../utils/businessDate.js';
+
+// A one-off order line for a customer on a single day and slot, on top of
+// their regular schedule
+const extraOrderSchema = mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+      index: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    time: {
+      type: String,
+      enum: ['morning', 'evening'],
+      required: true,
+    },
+    milkType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: true,
+    },
+    subcategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subcategory',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    pricePerUnit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    // pending until the line is added to the day's record
+    status: {
+      type: String,
+      enum: ['pending', 'applied', 'cancelled'],
+      default: 'pending',
+    },
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Record',
+    },
+    appliedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+extraOrderSchema.index({ date: 1, status: 1 });
+
+extraOrderSchema.set('toJSON', dateOnlyJSON('date'));
+
+const ExtraOrder = mongoose.model('ExtraOrder', extraOrderSchema);
+
+export default ExtraOrder;
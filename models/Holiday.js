@@ -1,5 +1,38 @@
 // backend/models/Holiday.js
 import mongoose from 'mongoose';
+import { dateOnlyJSON } from '../utils/businessDate.js';
+
+// A rule for holidays that repeat by weekday, e.g. every Sunday (weekly,
+// daysOfWeek [0]) or the 2nd and 4th Saturday (monthly, daysOfWeek [6],
+// weeksOfMonth [2, 4]). The holiday's date is the first day it can fall on.
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  // Repeat every this many weeks or months
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // 0 = Sunday; defaults to the weekday of the holiday's date
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Monthly rules only: 1-5, or -1 for the last week of the month
+  weeksOfMonth: [{
+    type: Number,
+    enum: [1, 2, 3, 4, 5, -1]
+  }],
+  // Last day the rule applies; open-ended when not set
+  until: Date
+}, { _id: false });
+
+recurrenceSchema.set('toJSON', dateOnlyJSON('until'));
 
 const HolidaySchema = new mongoose.Schema({
   date: {
@@ -16,14 +49,41 @@ const HolidaySchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Delivery slots the holiday cancels; 'both' is the whole day
+  slot: {
+    type: String,
+    enum: ['morning', 'evening', 'both'],
+    default: 'both'
+  },
+  // Customers who still get their deliveries, e.g. hospitals
+  exemptCustomers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  }],
+  // Limit the holiday to customers in these areas or on these routes;
+  // with neither set it applies to everyone
+  areas: [{
+    type: String,
+    trim: true
+  }],
+  routes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
   isRecurringYearly: {
     type: Boolean,
     default: false
   },
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+HolidaySchema.set('toJSON', dateOnlyJSON('date'));
+
 export default mongoose.model('Holiday', HolidaySchema);
\ No newline at end of file
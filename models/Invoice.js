@@ -1,5 +1,6 @@
 // models/Invoice.js
 import mongoose from 'mongoose';
+import { dateOnlyJSON, formatBusinessDate } from '../utils/businessDate.js';
 
 const invoiceSchema = mongoose.Schema(
     {
@@ -67,7 +68,8 @@ const invoiceSchema = mongoose.Schema(
                                 subcategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory', required: true },
                                 quantity: { type: Number, required: true },
                                 pricePerUnit: { type: Number, required: true },
-                                totalPrice: { type: Number, required: true }
+                                totalPrice: { type: Number, required: true },
+                                isExtra: { type: Boolean }
                             }
                         ],
                         totalQuantity: { type: Number, default: 0 },
@@ -105,6 +107,16 @@ const invoiceSchema = mongoose.Schema(
         notes: {
             type: String,
         },
+        // Set when records in the period change after the invoice was
+        // generated; cleared when it is regenerated
+        needsRegeneration: {
+            type: Boolean,
+            default: false,
+            index: true,
+        },
+        regenerationReason: {
+            type: String,
+        },
     },
     {
         timestamps: true,
@@ -115,6 +127,20 @@ const invoiceSchema = mongoose.Schema(
 invoiceSchema.index({ customer: 1, startDate: 1, endDate: 1 });
 invoiceSchema.index({ status: 1, dueDate: 1 });
 
+// Billing period, due date and item days are date-only in responses
+const invoiceDates = dateOnlyJSON('startDate', 'endDate', 'dueDate');
+invoiceSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        invoiceDates.transform(doc, ret);
+        (ret.items || []).forEach(item => {
+            if (item.date instanceof Date) {
+                item.date = formatBusinessDate(item.date);
+            }
+        });
+        return ret;
+    }
+});
+
 // Pre-save hook to calculate due amount
 invoiceSchema.pre('save', function (next) {
     // Calculate due amount as total amount minus amount paid
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const jobRunSchema = mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'startup', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    params: {
+      type: Object,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'partial', 'failed'],
+      default: 'running',
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    // e.g. { created: 120, skipped: 4 }
+    counts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Errors raised during the run; the whole run fails only when the
+    // job itself throws
+    failures: [
+      {
+        message: { type: String, required: true },
+        context: { type: Object },
+      },
+    ],
+    result: {
+      type: Object,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
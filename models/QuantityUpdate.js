@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { dateOnlyJSON } from '../utils/businessDate.js';
 
 const quantityUpdateSchema = mongoose.Schema(
   {
@@ -57,6 +58,12 @@ const quantityUpdateSchema = mongoose.Schema(
       type: Number,
       default: 0, // Default value for lastQuantity
     },
+    // Shared by the daily updates of one change request spanning several
+    // days, slots or items, which is accepted or rejected as a whole
+    requestGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -66,6 +73,8 @@ const quantityUpdateSchema = mongoose.Schema(
 // Create compound index for date and customer
 quantityUpdateSchema.index({ date: 1, customer: 1 });
 
+quantityUpdateSchema.set('toJSON', dateOnlyJSON('date'));
+
 const QuantityUpdate = mongoose.model('QuantityUpdate', quantityUpdateSchema);
 
 export default QuantityUpdate;
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { dateOnlyJSON } from '../utils/businessDate.js';
 
 // Schema for individual milk item in a record
 const milkItemSchema = mongoose.Schema({
@@ -26,6 +27,21 @@ const milkItemSchema = mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  // Quantity planned when the record was generated, kept for comparison
+  // once the delivery has been confirmed
+  plannedQuantity: {
+    type: Number,
+    min: 0
+  },
+  // One-off line from an extra order rather than the customer's schedule
+  isExtra: {
+    type: Boolean,
+    default: false
+  },
+  extraOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExtraOrder'
   }
 });
 
@@ -44,6 +60,23 @@ const deliveryTimeSchema = mongoose.Schema({
   totalPrice: {
     type: Number,
     default: 0
+  },
+  // Delivery confirmation from the milkman
+  deliveryStatus: {
+    type: String,
+    enum: ['pending', 'delivered', 'partial', 'skipped'],
+    default: 'pending'
+  },
+  skipReason: {
+    type: String,
+    trim: true
+  },
+  confirmedAt: {
+    type: Date
+  },
+  // _id of the milkman entry in SystemConfig.milkmen
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId
   }
 });
 
@@ -78,6 +111,53 @@ const recordSchema = mongoose.Schema(
 // Create compound index for date and customer
 recordSchema.index({ date: 1, customer: 1 }, { unique: true });
 
+recordSchema.set('toJSON', dateOnlyJSON('date'));
+
+// Recalculate item, delivery and daily totals from the milk item quantities
+recordSchema.methods.recalculateTotals = function () {
+  this.deliverySchedule.forEach(delivery => {
+    delivery.milkItems.forEach(item => {
+      item.totalPrice = item.quantity * item.pricePerUnit;
+    });
+    delivery.totalQuantity = delivery.milkItems.reduce((sum, item) => sum + item.quantity, 0);
+    delivery.totalPrice = delivery.milkItems.reduce((sum, item) => sum + item.totalPrice, 0);
+  });
+
+  this.totalDailyQuantity = this.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalQuantity, 0);
+  this.totalDailyPrice = this.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalPrice, 0);
+};
+
+// Totals are always derived from the milk items, never taken from the
+// client. Runs before validation so item totals need not be sent at all.
+recordSchema.pre('validate', function (next) {
+  this.recalculateTotals();
+  next();
+});
+
+// Whether the stored totals disagree with the milk items
+recordSchema.methods.hasInconsistentTotals = function () {
+  const differs = (a, b) => Math.abs((a || 0) - (b || 0)) > 0.001;
+  let dailyQuantity = 0;
+  let dailyPrice = 0;
+
+  for (const delivery of this.deliverySchedule) {
+    let quantity = 0;
+    let price = 0;
+
+    for (const item of delivery.milkItems) {
+      if (differs(item.totalPrice, item.quantity * item.pricePerUnit)) return true;
+      quantity += item.quantity;
+      price += item.quantity * item.pricePerUnit;
+    }
+
+    if (differs(delivery.totalQuantity, quantity) || differs(delivery.totalPrice, price)) return true;
+    dailyQuantity += quantity;
+    dailyPrice += price;
+  }
+
+  return differs(this.totalDailyQuantity, dailyQuantity) || differs(this.totalDailyPrice, dailyPrice);
+};
+
 const Record = mongoose.model('Record', recordSchema);
 
 export default Record; 
\ No newline at end of file
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import { dateOnlyJSON } from '../utils/businessDate.js';
+
+// A delivery slot as it was before or after a change
+const slotSnapshotSchema = mongoose.Schema(
+  {
+    time: {
+      type: String,
+      enum: ['morning', 'evening'],
+      required: true,
+    },
+    items: [
+      {
+        milkType: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+        subcategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory' },
+        quantity: { type: Number },
+        pricePerUnit: { type: Number },
+      },
+    ],
+    totalQuantity: {
+      type: Number,
+    },
+    totalPrice: {
+      type: Number,
+    },
+    deliveryStatus: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// One change to a Record. Kept after the record itself is deleted.
+const recordRevisionSchema = mongoose.Schema(
+  {
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Record',
+      required: true,
+      index: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    // Date of the record that was changed
+    date: {
+      type: Date,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['update', 'delivery', 'delete', 'repair', 'extra-order', 'holiday', 'quantity-update'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    before: [slotSnapshotSchema],
+    after: [slotSnapshotSchema],
+    totalsBefore: {
+      quantity: { type: Number },
+      price: { type: Number },
+    },
+    totalsAfter: {
+      quantity: { type: Number },
+      price: { type: Number },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recordRevisionSchema.index({ customer: 1, date: 1 });
+
+recordRevisionSchema.set('toJSON', dateOnlyJSON('date'));
+
+const RecordRevision = mongoose.model('RecordRevision', recordRevisionSchema);
+
+export default RecordRevision;
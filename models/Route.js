@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Schema for a single stop on a delivery route. Stops are delivered in
+// the order they appear in the route's stops array.
+const stopSchema = mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+});
+
+const routeSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // _id of the milkman entry in SystemConfig.milkmen
+    milkman: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    slot: {
+      type: String,
+      enum: ['morning', 'evening'],
+      required: true,
+      index: true,
+    },
+    stops: [stopSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+routeSchema.index({ 'stops.customer': 1 });
+
+// Validation to ensure a customer appears only once on a route
+routeSchema.pre('save', function (next) {
+  const customers = this.stops.map(stop => stop.customer.toString());
+  const uniqueCustomers = [...new Set(customers)];
+
+  if (customers.length !== uniqueCustomers.length) {
+    return next(new Error('A customer can only appear once on a route'));
+  }
+
+  next();
+});
+
+const Route = mongoose.model('Route', routeSchema);
+
+export default Route;
@@ -1,4 +1,43 @@
 import mongoose from 'mongoose';
+import { today, dateOnlyJSON } from '../utils/businessDate.js';
+
+// A list price that applies from effectiveFrom until the next entry
+const priceEntrySchema = mongoose.Schema(
+  {
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    // The bulk price revision that set this entry, if any
+    revision: {
+      type: new mongoose.Schema({
+        changeType: {
+          type: String,
+          enum: ['absolute', 'percentage'],
+        },
+        amount: Number,
+      }, { _id: false }),
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceEntrySchema.set('toJSON', dateOnlyJSON('effectiveFrom'));
 
 const subcategorySchema = mongoose.Schema(
   {
@@ -12,11 +51,13 @@ const subcategorySchema = mongoose.Schema(
       ref: 'Category',
       required: true,
     },
+    // Price in force today; the full list is in priceHistory
     price: {
       type: Number,
       required: true,
       default: 0,
     },
+    priceHistory: [priceEntrySchema],
     description: {
       type: String,
       trim: true,
@@ -34,6 +75,41 @@ const subcategorySchema = mongoose.Schema(
 // Create a compound index to ensure uniqueness of name within a category
 subcategorySchema.index({ name: 1, category: 1 }, { unique: true });
 
+// The price list entry in force on a date, or undefined if the price list
+// starts after it
+subcategorySchema.methods.getPriceEntryOn = function (date) {
+  return this.priceHistory
+    .filter(entry => entry.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+};
+
+// Price in force on a date, falling back to the current price
+subcategorySchema.methods.getPriceOn = function (date) {
+  const entry = this.getPriceEntryOn(date);
+  return entry ? entry.price : this.price;
+};
+
+// Add a price from a date, replacing any entry for the same date
+subcategorySchema.methods.setPriceFrom = function (price, effectiveFrom, { note, createdBy, revision } = {}) {
+  this.priceHistory = this.priceHistory.filter(
+    entry => entry.effectiveFrom.getTime() !== effectiveFrom.getTime()
+  );
+  this.priceHistory.push({ price, effectiveFrom, note, createdBy, revision });
+  this.priceHistory.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+
+  return this.priceHistory.find(entry => entry.effectiveFrom.getTime() === effectiveFrom.getTime());
+};
+
+// Keep price in step with the price list
+subcategorySchema.pre('save', function (next) {
+  const entry = this.getPriceEntryOn(today());
+  if (entry) {
+    this.price = entry.price;
+  }
+
+  next();
+});
+
 const Subcategory = mongoose.model('Subcategory', subcategorySchema);
 
 export default Subcategory;
\ No newline at end of file
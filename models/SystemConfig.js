@@ -30,6 +30,26 @@ const systemConfigSchema = new mongoose.Schema({
         required: true,
         default: "18:00"
     },
+    // Customers can change a slot's quantity until this many hours
+    // before the slot's delivery time
+    changeCutoffHours: {
+        type: Number,
+        default: 2,
+        min: 0
+    },
+    // What happens to a change that arrives after the cutoff
+    lateChangePolicy: {
+        type: String,
+        enum: ['reject', 'defer'],
+        default: 'reject'
+    },
+    // Which quantity updates change deliveries: only accepted ones, or
+    // pending ones too. Rejected updates never do.
+    quantityUpdatePolicy: {
+        type: String,
+        enum: ['accepted', 'accepted-and-pending'],
+        default: 'accepted'
+    },
     milkmen: [milkmanSchema],
     companyName: {
         type: String,
@@ -7,6 +7,11 @@ import {
   deleteCustomer,
   authCustomer,
   getCustomersWithAdvance,
+  getPausedCustomers,
+  addPausePeriod,
+  updatePausePeriod,
+  deletePausePeriod,
+  deleteScheduleRevision,
 } from '../controllers/customerController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
 import Customer from '../models/Customer.js';
@@ -21,6 +26,10 @@ router.route('/')
 router.route('/with-advance')
   .get(protect, admin, getCustomersWithAdvance);
 
+// Get customers with deliveries paused on a date
+router.route('/paused')
+  .get(protect, admin, getPausedCustomers);
+
 router.route('/login')
   .post(authCustomer);
 
@@ -29,6 +38,16 @@ router.route('/:id')
   .put(protect, admin, updateCustomer)
   .delete(protect, admin, deleteCustomer);
 
+router.route('/:id/pauses')
+  .post(protect, admin, addPausePeriod);
+
+router.route('/:id/pauses/:pauseId')
+  .put(protect, admin, updatePausePeriod)
+  .delete(protect, admin, deletePausePeriod);
+
+router.route('/:id/schedule-revisions/:revisionId')
+  .delete(protect, admin, deleteScheduleRevision);
+
 // Get total customer count for dashboard
 router.get('/count', async (req, res) => {
   try {
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getExtraOrders,
+  createExtraOrder,
+  cancelExtraOrder
+} from '../controllers/extraOrderController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, admin, getExtraOrders)
+  .post(protect, admin, createExtraOrder);
+
+router.route('/:id')
+  .delete(protect, admin, cancelExtraOrder);
+
+export default router;
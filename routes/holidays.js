@@ -7,12 +7,19 @@ import {
   updateHoliday, 
   deleteHoliday,
   getUpcomingHolidays,
-  getHolidaysByYear
+  getHolidaysByYear,
+  previewHoliday,
+  previewHolidayImport,
+  importHolidays,
+  getHolidayFeed
 } from '../controllers/holidayController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// .ics uploads may be sent as the raw file
+const calendarBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' });
+
 // Special routes first to avoid conflicts
 router.route('/upcoming')
   .get(getUpcomingHolidays);
@@ -20,6 +27,18 @@ router.route('/upcoming')
 router.route('/year/:year')
   .get(getHolidaysByYear);
 
+router.route('/preview')
+  .post(protect, admin, previewHoliday);
+
+router.route('/import/preview')
+  .post(protect, admin, calendarBody, previewHolidayImport);
+
+router.route('/import')
+  .post(protect, admin, calendarBody, importHolidays);
+
+router.route('/feed.ics')
+  .get(getHolidayFeed);
+
 // Standard CRUD routes
 router.route('/')
   .get(getHolidays)
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  listJobs,
+  getJobRuns,
+  getJobRunById,
+  triggerJob
+} from '../controllers/jobController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, admin, listJobs);
+
+router.route('/runs')
+  .get(protect, admin, getJobRuns);
+
+router.route('/runs/:id')
+  .get(protect, admin, getJobRunById);
+
+router.route('/:name/run')
+  .post(protect, admin, triggerJob);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  previewPriceRevision,
+  applyPriceRevision
+} from '../controllers/priceRevisionController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.route('/')
+  .post(protect, admin, applyPriceRevision);
+
+router.route('/preview')
+  .post(protect, admin, previewPriceRevision);
+
+export default router;
@@ -1,20 +1,37 @@
 import express from 'express';
-import { updateCustomerQuantity, getQuantityUpdates, deleteQuantityUpdate, acceptQuantityUpdate, rejectQuantityUpdate } from '../controllers/quantityUpdateController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  updateCustomerQuantity,
+  requestQuantityRange,
+  getQuantityUpdates,
+  getQuantityUpdateGroup,
+  deleteQuantityUpdate,
+  acceptQuantityUpdate,
+  rejectQuantityUpdate,
+  acceptQuantityUpdateGroup,
+  rejectQuantityUpdateGroup
+} from '../controllers/quantityUpdateController.js';
+import { protect, optionalProtect, admin } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 router.route('/')
   .get(getQuantityUpdates)
-  .post(updateCustomerQuantity);
+  .post(optionalProtect, updateCustomerQuantity);
+
+// One change request covering a date range, accepted or rejected as a whole
+router.route('/range').post(optionalProtect, requestQuantityRange);
+
+router.route('/group/:requestGroup').get(getQuantityUpdateGroup);
+router.route('/group/:requestGroup/accept').patch(protect, admin, acceptQuantityUpdateGroup);
+router.route('/group/:requestGroup/reject').patch(protect, admin, rejectQuantityUpdateGroup);
 
 // Add DELETE route for deleting a quantity update by ID
-router.route('/:id').delete(deleteQuantityUpdate);
+router.route('/:id').delete(protect, admin, deleteQuantityUpdate);
 
 // Add PATCH route for accepting a quantity update by ID
-router.route('/accept').patch(acceptQuantityUpdate);
+router.route('/accept').patch(protect, admin, acceptQuantityUpdate);
 
 
-router.route('/:id/reject').patch(rejectQuantityUpdate);
+router.route('/:id/reject').patch(protect, admin, rejectQuantityUpdate);
 
 export default router;
\ No newline at end of file
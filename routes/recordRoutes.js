@@ -1,5 +1,5 @@
 import express from 'express';
-import { createDailyRecords, getRecords, getRecordsSummary, getRecordById, updateRecord, deleteRecord, getRecordsByCustomer } from '../controllers/recordController.js';
+import { createDailyRecords, catchUpRecords, getRecords, getRecordsSummary, getRecordById, updateRecord, confirmRecordDelivery, deleteRecord, getRecordsByCustomer, getRecordHistory, getCustomerRecordHistory, repairRecordTotals } from '../controllers/recordController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -10,15 +10,31 @@ router.route('/')
 router.route('/daily')
   .post(createDailyRecords);
 
+router.route('/catch-up')
+  .post(protect, admin, catchUpRecords);
+
+router.route('/repair-totals')
+  .post(protect, admin, repairRecordTotals);
+
+// Special routes first to avoid conflicts with /:id
+router.route('/summary')
+  .get(protect, admin, getRecordsSummary);
+
 router.route('/customer/:id')
   .get(getRecordsByCustomer);
 
+router.route('/customer/:id/history')
+  .get(protect, admin, getCustomerRecordHistory);
+
 router.route('/:id')
   .get(protect, getRecordById)
   .put(protect, admin, updateRecord)
   .delete(protect, admin, deleteRecord);
 
-router.route('/summary')
-  .get(protect, getRecordsSummary);
+router.route('/:id/delivery')
+  .patch(protect, admin, confirmRecordDelivery);
+
+router.route('/:id/history')
+  .get(protect, admin, getRecordHistory);
 
 export default router;
\ No newline at end of file
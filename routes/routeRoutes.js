@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getRoutes,
+  getRouteById,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+  getRouteManifest,
+  getDailyManifests,
+  getDeliverySheet
+} from '../controllers/routeController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, admin, getRoutes)
+  .post(protect, admin, createRoute);
+
+// Special routes first to avoid conflicts
+router.route('/manifest')
+  .get(protect, admin, getDailyManifests);
+
+router.route('/delivery-sheet')
+  .get(protect, admin, getDeliverySheet);
+
+router.route('/:id')
+  .get(protect, admin, getRouteById)
+  .put(protect, admin, updateRoute)
+  .delete(protect, admin, deleteRoute);
+
+router.route('/:id/manifest')
+  .get(protect, admin, getRouteManifest);
+
+export default router;
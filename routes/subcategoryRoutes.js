@@ -4,7 +4,10 @@ import {
   getSubcategoryById, 
   createSubcategory, 
   updateSubcategory, 
-  deleteSubcategory 
+  deleteSubcategory,
+  getSubcategoryPrices,
+  addSubcategoryPrice,
+  deleteSubcategoryPrice
 } from '../controllers/subcategoryController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
 
@@ -19,4 +22,11 @@ router.route('/:id')
   .put(protect, admin, updateSubcategory)
   .delete(protect, admin, deleteSubcategory);
 
+router.route('/:id/prices')
+  .get(getSubcategoryPrices)
+  .post(protect, admin, addSubcategoryPrice);
+
+router.route('/:id/prices/:priceId')
+  .delete(protect, admin, deleteSubcategoryPrice);
+
 export default router;
\ No newline at end of file
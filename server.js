@@ -10,14 +10,29 @@ import stockRoutes from './routes/stockRoutes.js'
 import holidayRoutes from './routes/holidays.js'
 import recordRoutes from './routes/recordRoutes.js'
 import quantityUpdateRoutes from './routes/quantityUpdateRoutes.js'
-import scheduleDailyRecords from './utils/cronJobs.js'
+import scheduleDailyRecords, { runRecordCatchUp, runScheduleRevisions, runListPriceSync, runCustomRateBackfill } from './utils/cronJobs.js'
 import invoiceRoutes from './routes/invoiceRoutes.js';
 import systemConfigRoutes from './routes/systemConfigRoutes.js';
+import routeRoutes from './routes/routeRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import priceRevisionRoutes from './routes/priceRevisionRoutes.js';
+import extraOrderRoutes from './routes/extraOrderRoutes.js';
 // Add this line
 
 dotenv.config();
 
-connectDB();
+// Flag negotiated rates saved before they were tracked, apply due schedule
+// revisions and list prices, and catch up on any daily record runs missed
+// while the server was down. They run one after another so catch-up sees
+// today's schedules and prices.
+connectDB()
+  .then(async () => {
+    await runCustomRateBackfill();
+    await runScheduleRevisions();
+    await runListPriceSync();
+    await runRecordCatchUp();
+  })
+  .catch(error => console.error('Error running startup jobs:', error.message));
 
 const app = express();
 
@@ -46,6 +61,10 @@ app.use('/api/records', recordRoutes);
 app.use('/api/updates/quantity', quantityUpdateRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/config', systemConfigRoutes);
+app.use('/api/routes', routeRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/price-revisions', priceRevisionRoutes);
+app.use('/api/extra-orders', extraOrderRoutes);
 
 scheduleDailyRecords();
 
@@ -0,0 +1,110 @@
+import moment from 'moment-timezone';
+
+// Business dates follow the dairy's clock, not the server's. A business day
+// runs from midnight to midnight in DAIRY_TIMEZONE and is stored as the
+// instant of that midnight. Date-only values in requests and responses
+// use YYYY-MM-DD.
+const DAIRY_TIMEZONE = process.env.DAIRY_TIMEZONE || 'Asia/Kolkata';
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// A moment in the dairy timezone (now when no value is given)
+const dairyMoment = (value) => (
+  value === undefined ? moment.tz(DAIRY_TIMEZONE) : moment.tz(value, DAIRY_TIMEZONE)
+);
+
+// Parse a YYYY-MM-DD string to the start of that business day, or null
+// if it is not a valid date
+const parseBusinessDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const date = moment.tz(value, DATE_FORMAT, true, DAIRY_TIMEZONE);
+  return date.isValid() ? date.toDate() : null;
+};
+
+// Parse a DD/MM/YYYY date (as used for Customer.joinedDate), or null
+const parseIndianDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const date = moment.tz(value, 'DD/MM/YYYY', true, DAIRY_TIMEZONE);
+  return date.isValid() ? date.toDate() : null;
+};
+
+const startOfBusinessDay = (date = new Date()) => dairyMoment(date).startOf('day').toDate();
+
+// Start of the business day for a Date or a YYYY-MM-DD string, or null
+const toBusinessDay = (value) => (
+  typeof value === 'string' ? parseBusinessDate(value) : startOfBusinessDay(value)
+);
+
+const endOfBusinessDay = (date = new Date()) => dairyMoment(date).endOf('day').toDate();
+
+// Start of today in the dairy timezone
+const today = () => startOfBusinessDay();
+
+const addBusinessDays = (date, days) => dairyMoment(date).add(days, 'days').startOf('day').toDate();
+
+// YYYY-MM-DD of the business day containing a date
+const formatBusinessDate = (date) => dairyMoment(date).format(DATE_FORMAT);
+
+// Day of the week (0 = Sunday) of the business day containing a date
+const businessDayOfWeek = (date) => dairyMoment(date).day();
+
+// Whole business days from one date to another
+const businessDaysBetween = (from, to) =>
+  dairyMoment(to).startOf('day').diff(dairyMoment(from).startOf('day'), 'days');
+
+// Mongo condition matching every instant of one business day
+const businessDayQuery = (date) => ({
+  $gte: startOfBusinessDay(date),
+  $lte: endOfBusinessDay(date)
+});
+
+// Mongo condition matching every instant from the start of one business day
+// to the end of another
+const businessRangeQuery = (from, to) => ({
+  $gte: startOfBusinessDay(from),
+  $lte: endOfBusinessDay(to)
+});
+
+// First and last instants of a month (1-12)
+const monthRange = (year, month) => {
+  const start = moment.tz({ year, month: month - 1, day: 1 }, DAIRY_TIMEZONE).startOf('day');
+  return { start: start.toDate(), end: start.clone().endOf('month').toDate() };
+};
+
+// First and last instants of a year
+const yearRange = (year) => {
+  const start = moment.tz({ year, month: 0, day: 1 }, DAIRY_TIMEZONE).startOf('day');
+  return { start: start.toDate(), end: start.clone().endOf('year').toDate() };
+};
+
+// Schema toJSON option that writes date-only fields as YYYY-MM-DD
+const dateOnlyJSON = (...fields) => ({
+  transform: (doc, ret) => {
+    fields.forEach(field => {
+      if (ret[field] instanceof Date) {
+        ret[field] = formatBusinessDate(ret[field]);
+      }
+    });
+    return ret;
+  }
+});
+
+export {
+  DAIRY_TIMEZONE,
+  DATE_FORMAT,
+  dairyMoment,
+  parseBusinessDate,
+  parseIndianDate,
+  startOfBusinessDay,
+  toBusinessDay,
+  endOfBusinessDay,
+  today,
+  addBusinessDays,
+  formatBusinessDate,
+  businessDayOfWeek,
+  businessDaysBetween,
+  businessDayQuery,
+  businessRangeQuery,
+  monthRange,
+  yearRange,
+  dateOnlyJSON
+};
@@ -0,0 +1,55 @@
+import SystemConfig from '../models/SystemConfig.js';
+import { dairyMoment, formatBusinessDate, addBusinessDays, startOfBusinessDay } from './businessDate.js';
+
+const DEFAULT_CUTOFF = {
+  morningTime: '06:00',
+  eveningTime: '18:00',
+  changeCutoffHours: 2,
+  lateChangePolicy: 'reject'
+};
+
+// Load the cutoff settings, falling back to the defaults when no
+// system configuration has been saved yet
+const getCutoffSettings = async () => {
+  const config = await SystemConfig.findOne();
+  if (!config) return { ...DEFAULT_CUTOFF };
+
+  return {
+    morningTime: config.morningTime || DEFAULT_CUTOFF.morningTime,
+    eveningTime: config.eveningTime || DEFAULT_CUTOFF.eveningTime,
+    changeCutoffHours: config.changeCutoffHours ?? DEFAULT_CUTOFF.changeCutoffHours,
+    lateChangePolicy: config.lateChangePolicy || DEFAULT_CUTOFF.lateChangePolicy
+  };
+};
+
+// Work out when changes for a slot on a given day close. Delivery times
+// are on the dairy's clock.
+const getChangeCutoff = (settings, date, time) => {
+  const day = formatBusinessDate(date);
+  const slotTime = time === 'morning' ? settings.morningTime : settings.eveningTime;
+  const deliveryAt = dairyMoment(`${day}T${slotTime}`);
+  const cutoffAt = deliveryAt.clone().subtract(settings.changeCutoffHours, 'hours');
+
+  return {
+    date: day,
+    time,
+    deliveryTime: slotTime,
+    deliveryAt: deliveryAt.toDate(),
+    cutoffAt: cutoffAt.toDate(),
+    hoursBefore: settings.changeCutoffHours,
+    isPassed: dairyMoment().isAfter(cutoffAt)
+  };
+};
+
+// The slot that follows a given slot: morning -> same evening,
+// evening -> next morning
+const getNextSlot = (date, time) => (
+  time === 'morning'
+    ? { date: startOfBusinessDay(date), time: 'evening' }
+    : { date: addBusinessDays(date, 1), time: 'morning' }
+);
+
+const describeCutoff = (cutoff) =>
+  `Changes for the ${cutoff.time} delivery on ${cutoff.date} close ${cutoff.hoursBefore} hour(s) before the ${cutoff.deliveryTime} delivery, at ${dairyMoment(cutoff.cutoffAt).format('YYYY-MM-DD HH:mm')}`;
+
+export { getCutoffSettings, getChangeCutoff, getNextSlot, describeCutoff };
@@ -1,41 +1,50 @@
 import cron from 'node-cron';
-import axios from 'axios';
+import { runJob } from './jobRunner.js';
+import { DAIRY_TIMEZONE } from './businessDate.js';
 
-// Function to create daily records
-const createDailyRecords = async () => {
+// Run a job and log the outcome; the full details are kept in JobRun.
+// Resolves once the job has finished and never rejects, so jobs can be
+// chained.
+const runAndLog = async (name, trigger) => {
   try {
-    // Get the admin token from environment variable or config
-    const adminToken = process.env.ADMIN_TOKEN;
-
-    // Make API call to create daily records
-    const response = await axios.post(
-      `${process.env.BASE_URL}/api/records/daily`,
-      {},
-      {
-        headers: {
-          Authorization: `Bearer ${adminToken}`
-        }
-      }
-    );
-
-    console.log('Daily records created successfully:');
+    const jobRun = await runJob(name, { trigger });
+    const counts = Object.fromEntries(jobRun.counts || []);
+    console.log(`Job ${name} ${jobRun.status}:`, counts);
+
+    jobRun.failures.forEach(failure => console.error(`  ${failure.message}`));
   } catch (error) {
-    console.error('Error creating daily records:', error.message);
+    console.error(`Error running job ${name}:`, error.message);
   }
 };
 
-// Schedule the cron job to run at 11:59 PM every day
+// Generate records for any days missed while the server was down
+export const runRecordCatchUp = () => runAndLog('record-catch-up', 'startup');
+
+// Bring customers' current schedules and list prices up to date after downtime
+export const runScheduleRevisions = () => runAndLog('apply-schedule-revisions', 'startup');
+export const runListPriceSync = () => runAndLog('sync-list-prices', 'startup');
+
+// Flag negotiated rates on customers saved before they were tracked
+export const runCustomRateBackfill = () => runAndLog('mark-custom-rates', 'startup');
+
+// Schedule the cron job to run at 11:59 PM every day, on the dairy's clock
 const scheduleDailyRecords = () => {
   // // // For testing: Run every minute
   // cron.schedule('* * * * *', () => {
-  //   createDailyRecords();
+  //   runAndLog('daily-records', 'schedule');
   // });
 
-  // Production schedule (commented out for testing)
   cron.schedule('59 23 * * *', () => {
     console.log('Running daily records creation...');
-    createDailyRecords();
-  });
+    runAndLog('daily-records', 'schedule');
+  }, { timezone: DAIRY_TIMEZONE });
+
+  // Just after midnight, switch customers onto revisions and list prices
+  // starting that day, one after the other as at startup
+  cron.schedule('1 0 * * *', async () => {
+    await runAndLog('apply-schedule-revisions', 'schedule');
+    await runAndLog('sync-list-prices', 'schedule');
+  }, { timezone: DAIRY_TIMEZONE });
 };
 
-export default scheduleDailyRecords; 
\ No newline at end of file
+export default scheduleDailyRecords;
@@ -0,0 +1,203 @@
+import {
+  parseIndianDate,
+  startOfBusinessDay,
+  businessDayOfWeek,
+  businessDaysBetween
+} from './businessDate.js';
+
+// Shared helpers for working out what a customer receives on a given day.
+// Used by record generation and the delivery manifests.
+
+// Works for both plain ObjectIds and populated documents
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Check whether the customer had already joined on the given date.
+// joinedDate is stored in Indian format (DD/MM/YYYY).
+const hasJoinedBy = (customer, date) => {
+  if (!customer.joinedDate) return true;
+
+  const joinedDate = parseIndianDate(customer.joinedDate);
+  if (!joinedDate) return true;
+
+  return startOfBusinessDay(date) >= joinedDate;
+};
+
+// Slots the customer has paused on the given date
+const getPausedSlots = (customer, date) => {
+  const paused = new Set();
+
+  (customer.pausePeriods || []).forEach(pause => {
+    if (pause.startDate <= date && date <= pause.endDate) {
+      if (pause.slot) {
+        paused.add(pause.slot);
+      } else {
+        paused.add('morning');
+        paused.add('evening');
+      }
+    }
+  });
+
+  return [...paused];
+};
+
+// Whether a delivery time's recurrence rule includes the given date
+const isScheduledOn = (delivery, date) => {
+  const rule = delivery.recurrence;
+  if (!rule || !rule.pattern || rule.pattern === 'daily') return true;
+
+  if (rule.pattern === 'weekdays') {
+    return (rule.daysOfWeek || []).includes(businessDayOfWeek(date));
+  }
+
+  if (rule.pattern === 'interval') {
+    const interval = rule.interval || 1;
+    const daysFromAnchor = businessDaysBetween(rule.anchorDate, date);
+    // The pattern runs both forwards and backwards from the anchor date
+    return ((daysFromAnchor % interval) + interval) % interval === 0;
+  }
+
+  return true;
+};
+
+// Quantity of a milk item due on the given date, taking any day-of-week
+// override in the slot's recurrence rule into account
+const getScheduledQuantity = (delivery, milkItem, date) => {
+  const overrides = (delivery.recurrence?.dayQuantities || [])
+    .filter(override => override.dayOfWeek === businessDayOfWeek(date));
+
+  const override =
+    overrides.find(o => o.subcategory && toId(o.subcategory) === toId(milkItem.subcategory)) ||
+    overrides.find(o => !o.subcategory);
+
+  return override ? override.quantity : milkItem.quantity;
+};
+
+// The delivery schedule in force on the given date: the latest schedule
+// revision starting on or before it, or the current schedule
+const getScheduleForDate = (customer, date) => {
+  const revision = (customer.scheduleRevisions || [])
+    .filter(r => r.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+
+  return revision ? revision.deliverySchedule : customer.deliverySchedule;
+};
+
+// Price per unit of a milk item on a date: the subcategory's list price in
+// force that day, unless the customer has a negotiated rate or the price
+// list does not go back that far. priceLists comes from loadPriceLists.
+const getPricePerUnit = (milkItem, date, priceLists) => {
+  if (milkItem.isCustomRate || !priceLists) return milkItem.pricePerUnit;
+
+  const entry = priceLists.get(toId(milkItem.subcategory))?.getPriceEntryOn(date);
+  return entry ? entry.price : milkItem.pricePerUnit;
+};
+
+// Slots of the customer's schedule that are delivered on the given date
+const getDeliverySlots = (customer, date) => {
+  const pausedSlots = getPausedSlots(customer, date);
+  return getScheduleForDate(customer, date)
+    .filter(delivery => isScheduledOn(delivery, date))
+    .map(delivery => delivery.time)
+    .filter(time => !pausedSlots.includes(time));
+};
+
+// Find the quantity update matching a milk item in a delivery slot
+const findUpdateForItem = (updates, time, milkItem) => updates.find(u =>
+  u.time === time &&
+  toId(u.milkType) === toId(milkItem.milkType) &&
+  toId(u.subcategory) === toId(milkItem.subcategory)
+);
+
+// Build a record-style delivery schedule from the customer's schedule for
+// a date, replacing quantities where an update exists for the slot and
+// milk item. Pass `slots` to restrict the result to particular delivery
+// times (see getDeliverySlots), and `priceLists` to price items from the
+// subcategory price lists (see getPricePerUnit).
+const buildDeliverySchedule = (customer, date, updates = [], { slots, priceLists } = {}) => {
+  const deliverySchedule = [];
+  let totalDailyQuantity = 0;
+  let totalDailyPrice = 0;
+
+  for (const delivery of getScheduleForDate(customer, date)) {
+    if (slots && !slots.includes(delivery.time)) continue;
+
+    const milkItems = [];
+    let deliveryTotalQuantity = 0;
+    let deliveryTotalPrice = 0;
+
+    for (const milkItem of delivery.milkItems) {
+      const update = findUpdateForItem(updates, delivery.time, milkItem);
+      const quantity = update ? update.newQuantity : getScheduledQuantity(delivery, milkItem, date);
+      const pricePerUnit = getPricePerUnit(milkItem, date, priceLists);
+      const totalPrice = quantity * pricePerUnit;
+
+      milkItems.push({
+        milkType: milkItem.milkType,
+        subcategory: milkItem.subcategory,
+        quantity,
+        pricePerUnit,
+        totalPrice,
+        plannedQuantity: quantity
+      });
+      deliveryTotalQuantity += quantity;
+      deliveryTotalPrice += totalPrice;
+    }
+
+    deliverySchedule.push({
+      time: delivery.time,
+      milkItems,
+      totalQuantity: deliveryTotalQuantity,
+      totalPrice: deliveryTotalPrice
+    });
+    totalDailyQuantity += deliveryTotalQuantity;
+    totalDailyPrice += deliveryTotalPrice;
+  }
+
+  return { deliverySchedule, totalDailyQuantity, totalDailyPrice };
+};
+
+// Add extra order lines to a record-style delivery schedule, adding the
+// slot if the customer has no regular delivery in it
+const addExtraOrders = (deliverySchedule, extraOrders) => {
+  for (const order of extraOrders) {
+    let delivery = deliverySchedule.find(d => d.time === order.time);
+    if (!delivery) {
+      delivery = { time: order.time, milkItems: [], totalQuantity: 0, totalPrice: 0 };
+      deliverySchedule.push(delivery);
+    }
+
+    const totalPrice = order.quantity * order.pricePerUnit;
+    delivery.milkItems.push({
+      milkType: order.milkType,
+      subcategory: order.subcategory,
+      quantity: order.quantity,
+      pricePerUnit: order.pricePerUnit,
+      totalPrice,
+      plannedQuantity: order.quantity,
+      isExtra: true,
+      extraOrder: order._id
+    });
+    delivery.totalQuantity += order.quantity;
+    delivery.totalPrice += totalPrice;
+  }
+
+  return {
+    deliverySchedule,
+    totalDailyQuantity: deliverySchedule.reduce((sum, d) => sum + d.totalQuantity, 0),
+    totalDailyPrice: deliverySchedule.reduce((sum, d) => sum + d.totalPrice, 0)
+  };
+};
+
+export {
+  toId,
+  hasJoinedBy,
+  getPausedSlots,
+  isScheduledOn,
+  getScheduledQuantity,
+  getScheduleForDate,
+  getPricePerUnit,
+  getDeliverySlots,
+  findUpdateForItem,
+  buildDeliverySchedule,
+  addExtraOrders
+};
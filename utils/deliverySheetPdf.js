@@ -0,0 +1,169 @@
+import PDFDocument from 'pdfkit';
+import { registerFonts } from '../config/fonts.js';
+
+const SLOT_NAMES = {
+    morning: 'સવાર',
+    evening: 'સાંજ'
+};
+
+const MARGIN = 30;
+
+// Table columns and their widths
+const COLUMNS = [
+    { key: 'sequence', label: 'ક્રમ', width: 30 },
+    { key: 'customerNo', label: 'નં.', width: 40 },
+    { key: 'name', label: 'નામ', width: 110 },
+    { key: 'address', label: 'સરનામું', width: 140 },
+    { key: 'items', label: 'દૂધ', width: 135 },
+    { key: 'total', label: 'કુલ', width: 40 },
+    { key: 'check', label: 'સહી', width: 40 }
+];
+
+const itemLabel = (item) => {
+    const milkType = item.milkType?.name || '';
+    const subcategory = item.subcategory?.name || '';
+    return subcategory && subcategory !== milkType ? `${milkType} (${subcategory})` : milkType;
+};
+
+// Add up quantities per milk type and subcategory
+const addTotals = (totals, items) => {
+    items.forEach(item => {
+        const label = itemLabel(item);
+        totals.set(label, (totals.get(label) || 0) + item.quantity);
+    });
+    return totals;
+};
+
+// @desc    Generate the daily delivery sheet PDF for one slot
+// @param   sheet - { date, slot, holiday, manifests } where manifests come from buildRouteManifest
+// @param   outputStream - Stream to pipe the PDF to (can be response or file)
+export const generateDeliverySheetPDF = (sheet, outputStream) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        layout: 'portrait'
+    });
+
+    registerFonts(doc);
+    doc.pipe(outputStream);
+
+    const pageBottom = () => doc.page.height - MARGIN;
+    const tableWidth = COLUMNS.reduce((sum, column) => sum + column.width, 0);
+    let y = MARGIN;
+
+    const newPageIfNeeded = (height) => {
+        if (y + height > pageBottom()) {
+            doc.addPage();
+            y = MARGIN;
+            return true;
+        }
+        return false;
+    };
+
+    const drawHeaderRow = () => {
+        let x = MARGIN;
+        doc.rect(MARGIN, y, tableWidth, 20).fillAndStroke('#eeeeee', 'black');
+        doc.fillColor('black').font('Gujarati-Bold').fontSize(10);
+        COLUMNS.forEach(column => {
+            doc.text(column.label, x + 3, y + 4, { width: column.width - 6, align: 'center' });
+            x += column.width;
+        });
+        y += 20;
+    };
+
+    const drawStop = (stop) => {
+        const values = {
+            sequence: String(stop.sequence),
+            customerNo: String(stop.customer.customerNo ?? ''),
+            name: stop.customer.name || '',
+            address: stop.customer.address || '',
+            items: stop.items.map(item => `${itemLabel(item)}: ${item.quantity}${item.isExtra ? ' (વધારાનું)' : ''}`).join('\n'),
+            total: String(stop.totalQuantity),
+            check: ''
+        };
+
+        doc.font('Gujarati').fontSize(9);
+        const height = Math.max(20, ...COLUMNS.map(column =>
+            doc.heightOfString(values[column.key], { width: column.width - 6 }) + 8
+        ));
+
+        if (newPageIfNeeded(height)) {
+            drawHeaderRow();
+        }
+
+        let x = MARGIN;
+        COLUMNS.forEach(column => {
+            doc.rect(x, y, column.width, height).stroke();
+            doc.font('Gujarati').fontSize(9).fillColor('black');
+            doc.text(values[column.key], x + 3, y + 4, { width: column.width - 6 });
+            x += column.width;
+        });
+        y += height;
+    };
+
+    const drawTotals = (title, totals) => {
+        newPageIfNeeded(20 + totals.size * 15);
+        doc.font('Gujarati-Bold').fontSize(10).fillColor('black');
+        doc.text(title, MARGIN, y + 5);
+        y += 20;
+
+        doc.font('Gujarati').fontSize(10);
+        totals.forEach((quantity, label) => {
+            doc.text(`${label}: ${quantity}`, MARGIN + 15, y);
+            y += 15;
+        });
+    };
+
+    // Title
+    doc.font('Gujarati-Bold').fontSize(16).fillColor('black');
+    doc.text(`દૈનિક ડિલિવરી શીટ - ${SLOT_NAMES[sheet.slot] || sheet.slot}`, MARGIN, y, { width: tableWidth, align: 'center' });
+    y += 25;
+    doc.font('Gujarati').fontSize(12);
+    doc.text(`તારીખ: ${sheet.date}`, MARGIN, y, { width: tableWidth, align: 'center' });
+    y += 25;
+
+    if (sheet.holiday) {
+        doc.fontSize(12).text(`રજા: ${sheet.holiday.name}`, MARGIN, y, { width: tableWidth, align: 'center' });
+        doc.end();
+        return;
+    }
+
+    const slotTotals = new Map();
+
+    sheet.manifests.forEach(manifest => {
+        newPageIfNeeded(60);
+
+        const milkman = manifest.milkman ? ` - ${manifest.milkman.name}` : '';
+        doc.font('Gujarati-Bold').fontSize(12).fillColor('black');
+        doc.text(`${manifest.route.name}${milkman}`, MARGIN, y);
+        y += 20;
+
+        drawHeaderRow();
+        manifest.stops.forEach(drawStop);
+
+        const routeTotals = new Map();
+        manifest.stops.forEach(stop => {
+            addTotals(routeTotals, stop.items);
+            addTotals(slotTotals, stop.items);
+        });
+        drawTotals('રૂટ કુલ:', routeTotals);
+
+        // Customers on the route who get nothing today, so staff do not go there
+        if (manifest.skipped.length > 0) {
+            newPageIfNeeded(20);
+            doc.font('Gujarati').fontSize(9).fillColor('gray');
+            const skipped = manifest.skipped
+                .map(stop => `${stop.customer.customerNo} ${stop.customer.name} (${stop.reason})`)
+                .join(', ');
+            doc.text(`આજે ડિલિવરી નથી: ${skipped}`, MARGIN, y + 5, { width: tableWidth });
+            y = doc.y + 5;
+            doc.fillColor('black');
+        }
+
+        y += 15;
+    });
+
+    drawTotals(`${SLOT_NAMES[sheet.slot] || sheet.slot} કુલ:`, slotTotals);
+
+    doc.end();
+};
@@ -0,0 +1,101 @@
+import Customer from '../models/Customer.js';
+import Route from '../models/Route.js';
+import { checkIfHoliday, getCustomerHolidaySlots } from './holidayUtils.js';
+import { loadPriceLists } from './priceLists.js';
+import { getQuantityUpdatePolicy, findAppliedUpdates } from './quantityUpdatePolicy.js';
+import { formatBusinessDate } from './businessDate.js';
+import {
+  toId,
+  hasJoinedBy,
+  getDeliverySlots,
+  buildDeliverySchedule
+} from './deliveryPlanner.js';
+
+// Work out what a proposed holiday on a date would take away: the
+// customers who lose a delivery, the litres per milk type, the billing
+// lost and the applied quantity updates that would be dropped. Slots
+// already off for another holiday on the date are not counted again.
+// Nothing is saved.
+const previewHolidayImpact = async (holiday) => {
+  const { date } = holiday;
+
+  const updatePolicy = await getQuantityUpdatePolicy();
+  const [existing, routes, customers, priceLists, updates] = await Promise.all([
+    checkIfHoliday(date),
+    Route.find({ _id: { $in: holiday.routes || [] } }).select('name slot stops.customer'),
+    Customer.find({ isActive: true })
+      .populate('deliverySchedule.milkItems.milkType', 'name')
+      .populate('deliverySchedule.milkItems.subcategory', 'name')
+      .populate('scheduleRevisions.deliverySchedule.milkItems.milkType', 'name')
+      .populate('scheduleRevisions.deliverySchedule.milkItems.subcategory', 'name')
+      .sort({ customerNo: 1 }),
+    loadPriceLists(),
+    findAppliedUpdates(date, updatePolicy)
+      .populate('milkType', 'name')
+      .populate('subcategory', 'name')
+  ]);
+
+  const proposed = { holidays: [{ ...holiday, routes }] };
+  const byMilkType = new Map();
+  const affected = [];
+  const droppedUpdates = [];
+
+  for (const customer of customers) {
+    if (!hasJoinedBy(customer, date)) continue;
+
+    const dueSlots = getDeliverySlots(customer, date);
+    const alreadyOff = getCustomerHolidaySlots(existing, customer);
+    const slots = getCustomerHolidaySlots(proposed, customer).filter(slot =>
+      dueSlots.includes(slot) && !alreadyOff.includes(slot)
+    );
+    if (slots.length === 0) continue;
+
+    const customerUpdates = updates.filter(update => toId(update.customer) === toId(customer));
+    const { deliverySchedule, totalDailyQuantity, totalDailyPrice } =
+      buildDeliverySchedule(customer, date, customerUpdates, { slots, priceLists });
+
+    deliverySchedule.forEach(delivery => delivery.milkItems.forEach(item => {
+      const name = item.milkType?.name || 'Unknown';
+      const totals = byMilkType.get(name) || { milkType: name, quantity: 0, amount: 0 };
+      totals.quantity += item.quantity;
+      totals.amount += item.totalPrice;
+      byMilkType.set(name, totals);
+    }));
+
+    affected.push({
+      _id: customer._id,
+      customerNo: customer.customerNo,
+      name: customer.name,
+      area: customer.area,
+      slots,
+      quantity: totalDailyQuantity,
+      amount: totalDailyPrice
+    });
+
+    customerUpdates
+      .filter(update => slots.includes(update.time))
+      .forEach(update => droppedUpdates.push({
+        _id: update._id,
+        customer: { _id: customer._id, customerNo: customer.customerNo, name: customer.name },
+        time: update.time,
+        milkType: update.milkType?.name,
+        subcategory: update.subcategory?.name,
+        oldQuantity: update.oldQuantity,
+        newQuantity: update.newQuantity,
+        reason: update.reason
+      }));
+  }
+
+  return {
+    date: formatBusinessDate(date),
+    slot: holiday.slot || 'both',
+    totalCustomers: affected.length,
+    totalQuantity: affected.reduce((sum, customer) => sum + customer.quantity, 0),
+    totalAmount: affected.reduce((sum, customer) => sum + customer.amount, 0),
+    byMilkType: [...byMilkType.values()],
+    customers: affected,
+    droppedUpdates
+  };
+};
+
+export { previewHolidayImpact };
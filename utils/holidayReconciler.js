@@ -0,0 +1,259 @@
+import Record from '../models/Record.js';
+import Customer from '../models/Customer.js';
+import Route from '../models/Route.js';
+import Invoice from '../models/Invoice.js';
+import ExtraOrder from '../models/ExtraOrder.js';
+import {
+  loadHolidayCalendar,
+  expandHolidays,
+  holidayFallsOn,
+  isRecurringHoliday,
+  getCustomerHolidaySlots
+} from './holidayUtils.js';
+import { loadPriceLists } from './priceLists.js';
+import { getQuantityUpdatePolicy, findAppliedUpdates } from './quantityUpdatePolicy.js';
+import { snapshotRecord, logRecordRevision } from './recordAudit.js';
+import {
+  formatBusinessDate,
+  businessDayQuery,
+  startOfBusinessDay,
+  endOfBusinessDay,
+  addBusinessDays,
+  today
+} from './businessDate.js';
+import {
+  toId,
+  hasJoinedBy,
+  getDeliverySlots,
+  buildDeliverySchedule,
+  addExtraOrders
+} from './deliveryPlanner.js';
+
+// How far back a recurring holiday's past occurrences are reconciled
+const RECONCILE_HORIZON_DAYS = Number(process.env.HOLIDAY_RECONCILE_DAYS) || 90;
+
+// First day whose records a holiday change may touch. A one-off holiday
+// reconciles its own day. A recurring holiday only reconciles recent
+// occurrences after the last invoiced day: older ones are history, and
+// rewriting them would keep such a holiday from ever being saved.
+const getReconcileStart = (holiday, lastInvoicedDay) => {
+  if (!isRecurringHoliday(holiday)) return holiday.date;
+
+  const starts = [startOfBusinessDay(holiday.date), addBusinessDays(today(), -RECONCILE_HORIZON_DAYS)];
+  if (lastInvoicedDay) starts.push(addBusinessDays(lastInvoicedDay, 1));
+  return new Date(Math.max(...starts));
+};
+
+// Whether a record's delivery in a slot has been confirmed as delivered
+const isConfirmed = (record, slot) => {
+  const delivery = record?.deliverySchedule.find(d => d.time === slot);
+  return ['delivered', 'partial'].includes(delivery?.deliveryStatus);
+};
+
+// A holiday as the holiday calendar lists it, with its routes loaded
+const toCheckedHoliday = async (holiday) => {
+  const routes = await Route.find({ _id: { $in: holiday.routes || [] } }).select('name slot stops.customer');
+  const plain = typeof holiday.toJSON === 'function' ? holiday.toJSON() : { ...holiday };
+  return { ...plain, routes };
+};
+
+// Work out how existing records change when a holiday is created, edited
+// or deleted. `previous` is the holiday as stored before the change (null
+// when creating) and `next` the holiday as it will be saved (null when
+// deleting). Only days that already have records are looked at: the past,
+// and today once the day's records have been generated, from the day
+// getReconcileStart allows. Nothing is saved.
+const planHolidayReconciliation = async (previous, next) => {
+  const lastDay = (await Record.exists({ date: businessDayQuery(today()) }))
+    ? today()
+    : addBusinessDays(today(), -1);
+
+  const lastInvoice = await Invoice.findOne().sort({ endDate: -1 }).select('endDate');
+
+  const dates = new Map();
+  [previous, next].filter(Boolean).forEach(holiday => {
+    expandHolidays([holiday], getReconcileStart(holiday, lastInvoice?.endDate), lastDay)
+      .forEach(({ date }) => dates.set(formatBusinessDate(date), date));
+  });
+
+  const plan = { dates: [...dates.keys()].sort(), changes: [], invoiced: [], confirmed: [] };
+  if (dates.size === 0) return plan;
+
+  const nextHoliday = next ? await toCheckedHoliday(next) : null;
+  const changedId = toId(previous || next);
+  const days = [...dates.values()].sort((a, b) => a - b);
+  const [customers, calendar, records] = await Promise.all([
+    Customer.find({ isActive: true }),
+    loadHolidayCalendar(days[0], days[days.length - 1]),
+    Record.find({ $or: days.map(date => ({ date: businessDayQuery(date) })) })
+  ]);
+
+  // Records by day, then by customer
+  const recordsByDay = new Map();
+  records.forEach(record => {
+    const day = formatBusinessDate(record.date);
+    if (!recordsByDay.has(day)) recordsByDay.set(day, new Map());
+    recordsByDay.get(day).set(toId(record.customer), record);
+  });
+
+  for (const date of days) {
+    const before = calendar.check(date);
+    const after = {
+      holidays: [
+        ...before.holidays.filter(holiday => toId(holiday) !== changedId),
+        ...(nextHoliday && holidayFallsOn(nextHoliday, date) ? [nextHoliday] : [])
+      ]
+    };
+
+    const recordsByCustomer = recordsByDay.get(formatBusinessDate(date)) || new Map();
+
+    for (const customer of customers) {
+      if (!hasJoinedBy(customer, date)) continue;
+
+      const offBefore = getCustomerHolidaySlots(before, customer);
+      const offAfter = getCustomerHolidaySlots(after, customer);
+      const record = recordsByCustomer.get(toId(customer));
+      const recordSlots = (record?.deliverySchedule || []).map(delivery => delivery.time);
+
+      // Slots the holiday now covers that were delivered, and slots it no
+      // longer covers that are due but have no delivery
+      const newlyOff = offAfter.filter(slot => !offBefore.includes(slot) && recordSlots.includes(slot));
+      const addSlots = offBefore.filter(slot =>
+        !offAfter.includes(slot) && !recordSlots.includes(slot) && getDeliverySlots(customer, date).includes(slot)
+      );
+
+      // Deliveries the milkman has confirmed really happened, so they stay
+      const confirmedSlots = newlyOff.filter(slot => isConfirmed(record, slot));
+      const removeSlots = newlyOff.filter(slot => !confirmedSlots.includes(slot));
+      if (confirmedSlots.length > 0) {
+        plan.confirmed.push({
+          date: formatBusinessDate(date),
+          customer: { _id: customer._id, customerNo: customer.customerNo, name: customer.name },
+          slots: confirmedSlots
+        });
+      }
+
+      if (removeSlots.length === 0 && addSlots.length === 0) continue;
+
+      plan.changes.push({ date, customer, record, removeSlots, addSlots });
+    }
+  }
+
+  // Invoiced days cannot change without the invoice going out of step
+  const invoices = plan.changes.length === 0 ? [] : await Invoice.find({
+    customer: { $in: [...new Set(plan.changes.map(change => toId(change.customer)))] },
+    startDate: { $lte: endOfBusinessDay(days[days.length - 1]) },
+    endDate: { $gte: startOfBusinessDay(days[0]) }
+  }).select('customer invoiceNumber startDate endDate');
+
+  for (const change of plan.changes) {
+    const invoice = invoices.find(candidate =>
+      toId(candidate.customer) === toId(change.customer) &&
+      candidate.startDate <= endOfBusinessDay(change.date) &&
+      candidate.endDate >= startOfBusinessDay(change.date)
+    );
+
+    if (invoice) {
+      plan.invoiced.push({
+        date: formatBusinessDate(change.date),
+        customer: { _id: change.customer._id, customerNo: change.customer.customerNo, name: change.customer.name },
+        invoice: { _id: invoice._id, invoiceNumber: invoice.invoiceNumber }
+      });
+    }
+  }
+
+  return plan;
+};
+
+// Apply a reconciliation plan: drop the slots the holiday now covers,
+// deleting records left empty, and add back the slots it no longer covers.
+// Confirmed deliveries are kept and listed under `keptConfirmed`. Every
+// change is kept in the record's history. Returns a report.
+const applyHolidayReconciliation = async (plan, { reason, changedBy }) => {
+  const [priceLists, updatePolicy] = await Promise.all([loadPriceLists(), getQuantityUpdatePolicy()]);
+  const report = {
+    dates: plan.dates,
+    removed: [],
+    restored: [],
+    recordsDeleted: 0,
+    recordsCreated: 0,
+    keptConfirmed: plan.confirmed,
+    failures: []
+  };
+
+  for (const { date, customer, record: existing, removeSlots, addSlots } of plan.changes) {
+    const customerInfo = { _id: customer._id, customerNo: customer.customerNo, name: customer.name };
+    try {
+      const record = existing || new Record({ customer: customer._id, date, deliverySchedule: [] });
+      const before = snapshotRecord(existing);
+
+      if (removeSlots.length > 0) {
+        const removed = record.deliverySchedule.filter(delivery => removeSlots.includes(delivery.time));
+
+        // Extra orders on the dropped slots go back to pending so they are
+        // delivered again if the holiday is lifted
+        const extraOrderIds = removed.flatMap(delivery =>
+          delivery.milkItems.filter(item => item.extraOrder).map(item => item.extraOrder)
+        );
+        if (extraOrderIds.length > 0) {
+          await ExtraOrder.updateMany(
+            { _id: { $in: extraOrderIds } },
+            { $set: { status: 'pending' }, $unset: { record: '', appliedAt: '' } }
+          );
+        }
+
+        record.deliverySchedule = record.deliverySchedule.filter(delivery => !removeSlots.includes(delivery.time));
+        report.removed.push({
+          date: formatBusinessDate(date),
+          customer: customerInfo,
+          slots: removeSlots,
+          quantity: removed.reduce((sum, delivery) => sum + delivery.totalQuantity, 0),
+          amount: removed.reduce((sum, delivery) => sum + delivery.totalPrice, 0)
+        });
+      }
+
+      if (addSlots.length > 0) {
+        const [updates, extraOrders] = await Promise.all([
+          findAppliedUpdates(date, updatePolicy, { customer: customer._id }),
+          ExtraOrder.find({ customer: customer._id, date: businessDayQuery(date), time: { $in: addSlots }, status: 'pending' })
+        ]);
+        const { deliverySchedule, totalDailyQuantity, totalDailyPrice } = addExtraOrders(
+          buildDeliverySchedule(customer, date, updates, { slots: addSlots, priceLists }).deliverySchedule,
+          extraOrders
+        );
+
+        deliverySchedule.forEach(delivery => record.deliverySchedule.push(delivery));
+        if (extraOrders.length > 0) {
+          await ExtraOrder.updateMany(
+            { _id: { $in: extraOrders.map(order => order._id) } },
+            { status: 'applied', record: record._id, appliedAt: new Date() }
+          );
+        }
+
+        report.restored.push({
+          date: formatBusinessDate(date),
+          customer: customerInfo,
+          slots: addSlots,
+          quantity: totalDailyQuantity,
+          amount: totalDailyPrice
+        });
+      }
+
+      if (record.deliverySchedule.length === 0) {
+        await record.deleteOne();
+        report.recordsDeleted++;
+        await logRecordRevision(record, before, { action: 'holiday', reason, changedBy }, null);
+      } else {
+        if (!existing) report.recordsCreated++;
+        await record.save();
+        await logRecordRevision(record, before, { action: 'holiday', reason, changedBy });
+      }
+    } catch (error) {
+      report.failures.push({ date: formatBusinessDate(date), customer: customerInfo, message: error.message });
+    }
+  }
+
+  return report;
+};
+
+export { planHolidayReconciliation, applyHolidayReconciliation };
@@ -0,0 +1,232 @@
+import Holiday from '../models/Holiday.js';
+import {
+  DAIRY_TIMEZONE,
+  dairyMoment,
+  formatBusinessDate,
+  businessRangeQuery,
+  startOfBusinessDay,
+  endOfBusinessDay
+} from './businessDate.js';
+
+// Delivery slots covered by a holiday's slot scope
+const getHolidaySlots = (holiday) => (
+  !holiday.slot || holiday.slot === 'both' ? ['morning', 'evening'] : [holiday.slot]
+);
+
+// Whether a holiday repeats, every year or by a weekly or monthly rule
+const isRecurringHoliday = (holiday) => Boolean(holiday.isRecurringYearly || holiday.recurrence?.frequency);
+
+// Whether a holiday falls on a date. Yearly holidays fall on the same day
+// and month every year. Rule-based holidays fall on matching days from
+// their date up to the rule's end date: weekly rules on the given weekdays
+// of every `interval` weeks, monthly rules on the given weeks of the month
+// (1-5, or -1 for the last) of every `interval` months. Days and weeks
+// default to those of the holiday's date.
+const holidayFallsOn = (holiday, date) => {
+  const day = dairyMoment(date).startOf('day');
+  const holidayDate = dairyMoment(holiday.date).startOf('day');
+  const rule = holiday.recurrence;
+
+  if (rule?.frequency) {
+    if (day.isBefore(holidayDate) || (rule.until && day.isAfter(dairyMoment(rule.until), 'day'))) {
+      return false;
+    }
+
+    const daysOfWeek = rule.daysOfWeek?.length ? rule.daysOfWeek : [holidayDate.day()];
+    if (!daysOfWeek.includes(day.day())) return false;
+
+    const interval = rule.interval || 1;
+    if (rule.frequency === 'weekly') {
+      const weeks = Math.round(
+        day.clone().startOf('week').diff(holidayDate.clone().startOf('week'), 'days') / 7
+      );
+      return weeks % interval === 0;
+    }
+
+    const months = (day.year() - holidayDate.year()) * 12 + day.month() - holidayDate.month();
+    if (months % interval !== 0) return false;
+
+    const weeksOfMonth = rule.weeksOfMonth?.length ? rule.weeksOfMonth : [Math.ceil(holidayDate.date() / 7)];
+    const isLastWeek = day.clone().add(7, 'days').month() !== day.month();
+    return weeksOfMonth.includes(Math.ceil(day.date() / 7)) || (isLastWeek && weeksOfMonth.includes(-1));
+  }
+
+  return holiday.isRecurringYearly
+    ? holidayDate.month() === day.month() && holidayDate.date() === day.date()
+    : holidayDate.isSame(day, 'day');
+};
+
+// Every day each holiday falls on between two days, inclusive, as
+// { holiday, date } sorted by date. This is the one place recurring
+// holidays are expanded into dates.
+const expandHolidays = (holidays, from, to) => {
+  const first = dairyMoment(from).startOf('day');
+  const last = dairyMoment(to).startOf('day');
+  const occurrences = [];
+
+  holidays.forEach(holiday => {
+    if (!isRecurringHoliday(holiday)) {
+      const date = dairyMoment(holiday.date).startOf('day');
+      if (!date.isBefore(first) && !date.isAfter(last)) {
+        occurrences.push({ holiday, date: date.toDate() });
+      }
+      return;
+    }
+
+    for (const day = first.clone(); !day.isAfter(last); day.add(1, 'day')) {
+      if (holidayFallsOn(holiday, day)) {
+        occurrences.push({ holiday, date: day.toDate() });
+      }
+    }
+  });
+
+  return occurrences.sort((a, b) => a.date - b.date);
+};
+
+// Mongo condition for the yearly holidays whose day and month fall between
+// two days. A range of a year or more takes every yearly holiday.
+const yearlyHolidayQuery = (from, to) => {
+  const first = dairyMoment(from).startOf('day');
+  const last = dairyMoment(to).startOf('day');
+  if (last.diff(first, 'days') >= 365) return { isRecurringYearly: true };
+
+  const monthDays = [];
+  for (const day = first.clone(); !day.isAfter(last); day.add(1, 'day')) {
+    monthDays.push(day.format('MM-DD'));
+  }
+
+  return {
+    isRecurringYearly: true,
+    $expr: {
+      $in: [{ $dateToString: { format: '%m-%d', date: '$date', timezone: DAIRY_TIMEZONE } }, monthDays]
+    }
+  };
+};
+
+// Holidays that can fall between two days, in one query: those dated in
+// the range, yearly holidays on a day and month in the range, and rules
+// that have started and not ended
+const findHolidaysBetween = (from, to) => Holiday.find({
+  $or: [
+    { date: businessRangeQuery(from, to) },
+    yearlyHolidayQuery(from, to),
+    {
+      'recurrence.frequency': { $exists: true },
+      date: { $lte: endOfBusinessDay(to) },
+      'recurrence.until': { $not: { $lt: startOfBusinessDay(from) } }
+    }
+  ]
+});
+
+// Whether a holiday is limited to some areas or routes
+const isScopedHoliday = (holiday) => (
+  (holiday.areas || []).length > 0 || (holiday.routes || []).length > 0
+);
+
+// Whether a holiday applies to every customer, with no scope or exemptions
+const isDairyWideHoliday = (holiday) => (
+  !isScopedHoliday(holiday) && (holiday.exemptCustomers || []).length === 0
+);
+
+// Delivery slots a customer has off for the holidays found by
+// checkIfHoliday. Exempt customers keep their deliveries; a holiday scoped
+// to areas or routes only covers customers in one of them, and a route
+// only covers its own slot.
+const getCustomerHolidaySlots = ({ holidays = [] }, customer) => {
+  const customerId = customer._id.toString();
+  const slots = new Set();
+
+  holidays.forEach(holiday => {
+    if ((holiday.exemptCustomers || []).some(id => id.toString() === customerId)) return;
+
+    const holidaySlots = getHolidaySlots(holiday);
+    if (!isScopedHoliday(holiday) || (customer.area && (holiday.areas || []).includes(customer.area))) {
+      holidaySlots.forEach(slot => slots.add(slot));
+      return;
+    }
+
+    (holiday.routes || []).forEach(route => {
+      if (holidaySlots.includes(route.slot) &&
+        (route.stops || []).some(stop => stop.customer.toString() === customerId)) {
+        slots.add(route.slot);
+      }
+    });
+  });
+
+  return [...slots];
+};
+
+const NOT_A_HOLIDAY = {
+  isHoliday: false,
+  holidayName: null,
+  holidayDetails: null,
+  holidays: [],
+  slots: []
+};
+
+// Describe the holidays on one day the way checkIfHoliday returns them
+const describeHolidays = (holidays) => {
+  if (holidays.length === 0) return NOT_A_HOLIDAY;
+
+  const slots = [...new Set(holidays.filter(isDairyWideHoliday).flatMap(getHolidaySlots))];
+  // Name the holiday that covers the most deliveries
+  const main = holidays.find(holiday => isDairyWideHoliday(holiday) && getHolidaySlots(holiday).length === 2) ||
+    holidays.find(isDairyWideHoliday) ||
+    holidays[0];
+
+  return {
+    isHoliday: true,
+    holidayName: main.name,
+    holidayDetails: main,
+    holidays,
+    slots
+  };
+};
+
+// Load the holidays between two days once, for work that checks many days.
+// `occurrences` lists every holiday day in the range and `check(date)`
+// answers like checkIfHoliday for a day in the range.
+const loadHolidayCalendar = async (from, to) => {
+  const holidays = await findHolidaysBetween(from, to).populate('routes', 'name slot stops.customer');
+  const occurrences = expandHolidays(holidays, from, to);
+
+  const byDay = new Map();
+  occurrences.forEach(({ holiday, date }) => {
+    const day = formatBusinessDate(date);
+    byDay.set(day, [
+      ...(byDay.get(day) || []),
+      // Recurring holidays show the date they fall on
+      { ...holiday.toJSON(), date: day }
+    ]);
+  });
+
+  return {
+    occurrences,
+    check: (date) => describeHolidays(byDay.get(formatBusinessDate(date)) || [])
+  };
+};
+
+// Helper function to check if a date is a holiday. `holidays` lists every
+// holiday on the date; `slots` lists the slots that are off for every
+// customer. Use getCustomerHolidaySlots for a particular customer.
+const checkIfHoliday = async (date) => {
+  try {
+    const calendar = await loadHolidayCalendar(date, date);
+    return calendar.check(date);
+  } catch (error) {
+    console.error('Error checking holiday:', error);
+    // In case of error, assume it's not a holiday to avoid blocking record creation
+    return NOT_A_HOLIDAY;
+  }
+};
+
+export {
+  checkIfHoliday,
+  loadHolidayCalendar,
+  expandHolidays,
+  findHolidaysBetween,
+  holidayFallsOn,
+  isRecurringHoliday,
+  getHolidaySlots,
+  getCustomerHolidaySlots
+};
@@ -0,0 +1,164 @@
+import moment from 'moment-timezone';
+import { DAIRY_TIMEZONE, DATE_FORMAT } from './businessDate.js';
+
+// A small iCalendar (RFC 5545) reader and writer covering what holiday
+// calendars use: all-day or timed VEVENTs with a summary, description and
+// an optional RRULE.
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Split a content line into its name, parameters and value
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...rest] = param.split('=');
+      return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+};
+
+// The business day (YYYY-MM-DD) of a DTSTART value, or null. Dates are
+// taken as they are; times are read in their TZID, as UTC when they end in
+// Z, or on the dairy's clock otherwise.
+const parseDateValue = ({ params, value }) => {
+  if (/^\d{8}$/.test(value)) {
+    const date = moment(value, 'YYYYMMDD', true);
+    return date.isValid() ? date.format(DATE_FORMAT) : null;
+  }
+
+  const match = value.match(/^(\d{8}T\d{6})(Z?)$/);
+  if (!match) return null;
+
+  const date = match[2]
+    ? moment.utc(match[1], 'YYYYMMDDTHHmmss', true)
+    : moment.tz(match[1], 'YYYYMMDDTHHmmss', true, params.TZID && moment.tz.zone(params.TZID) ? params.TZID : DAIRY_TIMEZONE);
+  return date.isValid() ? date.tz(DAIRY_TIMEZONE).format(DATE_FORMAT) : null;
+};
+
+// RRULE parts as an object, e.g. { FREQ: 'YEARLY', BYMONTH: '10' }. UNTIL
+// is read like DTSTART, as a business day (or null).
+const parseRule = (value) => {
+  const rule = Object.fromEntries(value.split(';').map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  }));
+  if (rule.UNTIL !== undefined) {
+    rule.UNTIL = parseDateValue({ params: {}, value: rule.UNTIL });
+  }
+  return rule;
+};
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// An RRULE BYDAY value as [{ week, day }], e.g. '2SU,-1SA' gives
+// [{ week: 2, day: 0 }, { week: -1, day: 6 }]; week is null when no
+// ordinal is given. Returns null if any entry cannot be read.
+const parseByDay = (value) => {
+  const days = String(value).split(',').map(entry => {
+    const match = entry.trim().toUpperCase().match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+    const day = match ? WEEKDAYS.indexOf(match[2]) : -1;
+    return day === -1 ? null : { week: match[1] ? Number(match[1]) : null, day };
+  });
+  return days.every(Boolean) ? days : null;
+};
+
+// Read the VEVENTs from iCalendar text. Each event has uid, summary,
+// description, date (YYYY-MM-DD, or null if it could not be read) and
+// rrule (null when the event does not repeat).
+const parseICS = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      event = { uid: null, summary: '', description: '', date: null, rrule: null };
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (event) events.push(event);
+      event = null;
+    } else if (event) {
+      switch (property.name) {
+        case 'UID':
+          event.uid = property.value;
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(property.value).trim();
+          break;
+        case 'DESCRIPTION':
+          event.description = unescapeText(property.value).trim();
+          break;
+        case 'DTSTART':
+          event.date = parseDateValue(property);
+          break;
+        case 'RRULE':
+          event.rrule = parseRule(property.value);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return events;
+};
+
+// Fold a content line to 75 characters as the format requires
+const foldLine = (line) => {
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(line.slice(i, i + 74));
+  }
+  return parts.join('\r\n ');
+};
+
+// Write all-day events ({ uid, date: YYYY-MM-DD, summary, description })
+// as an iCalendar feed
+const buildICS = (events, { name, prodId = '-//Dairy//Holidays//EN' } = {}) => {
+  const stamp = moment.utc().format('YYYYMMDDTHHmmss[Z]');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${DAIRY_TIMEZONE}`
+  ];
+
+  events.forEach(event => {
+    const start = moment(event.date, DATE_FORMAT);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${start.format('YYYYMMDD')}`,
+      `DTEND;VALUE=DATE:${start.clone().add(1, 'day').format('YYYYMMDD')}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export { parseICS, parseByDay, buildICS };
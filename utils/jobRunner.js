@@ -0,0 +1,210 @@
+import moment from 'moment';
+import JobRun from '../models/JobRun.js';
+import Customer from '../models/Customer.js';
+import { generateRecordsForDate, catchUpMissedRecords, validateCatchUpRange } from './recordGenerator.js';
+import { syncListPrices, markCustomRates } from './priceLists.js';
+import { today, formatBusinessDate, parseBusinessDate } from './businessDate.js';
+
+// A run still marked as running after this long is assumed to have died
+// with the process and no longer blocks new runs
+const STALE_RUN_MINUTES = 60;
+
+// Copy schedule revisions that take effect today into each customer's
+// current schedule
+const applyDueScheduleRevisions = async () => {
+  const customers = await Customer.find({
+    scheduleRevisions: { $elemMatch: { effectiveFrom: { $lte: today() }, appliedAt: null } }
+  });
+
+  const result = { applied: 0, failures: [] };
+
+  for (const customer of customers) {
+    try {
+      customer.applyDueScheduleRevision();
+      await customer.saveScheduleChanges();
+      result.applied++;
+    } catch (error) {
+      result.failures.push({ message: error.message, context: { customer: customer._id, name: customer.name } });
+    }
+  }
+
+  return result;
+};
+
+// Each job returns { counts, failures, result }. `params` lists the date
+// parameters (YYYY-MM-DD) a job accepts, and `validate` checks them
+// together, returning an error message or null.
+const jobs = {
+  'daily-records': {
+    description: 'Create the day\'s delivery records for all active customers',
+    params: ['date'],
+    run: async ({ date }) => {
+      const result = await generateRecordsForDate(date);
+      return {
+        counts: {
+          created: result.created,
+          skippedExisting: result.skipped.existing,
+          skippedNotJoined: result.skipped.notJoined,
+          skippedPaused: result.skipped.paused,
+          skippedHoliday: result.skipped.holiday,
+          skippedNotScheduled: result.skipped.notScheduled
+        },
+        failures: result.errors.map(({ message, ...context }) => ({ message, context })),
+        result: {
+          date: result.date,
+          holiday: result.holiday ? result.holiday.holidayName : null,
+          holidaySlots: result.holiday ? result.holiday.slots : []
+        }
+      };
+    }
+  },
+  'record-catch-up': {
+    description: 'Create records for days missed since the last successful daily run',
+    params: ['from', 'to'],
+    validate: validateCatchUpRange,
+    run: async ({ from, to }) => {
+      const result = await catchUpMissedRecords({ from, to });
+      return {
+        counts: {
+          created: result.totalCreated,
+          days: result.dates.filter(date => date.status !== 'already generated').length
+        },
+        failures: result.dates.flatMap(date => (date.errors || []).map(({ message, ...context }) => ({
+          message,
+          context: { date: date.date, ...context }
+        }))),
+        result
+      };
+    }
+  },
+  'apply-schedule-revisions': {
+    description: 'Make schedule revisions that take effect today the customers\' current schedule',
+    run: async () => {
+      const { applied, failures } = await applyDueScheduleRevisions();
+      return { counts: { applied }, failures, result: null };
+    }
+  },
+  'sync-list-prices': {
+    description: 'Move subcategory prices to the price list entries that take effect today',
+    run: async () => {
+      const changed = await syncListPrices();
+      return { counts: { changed: changed.length }, failures: [], result: { changed } };
+    }
+  },
+  'mark-custom-rates': {
+    description: 'Flag customer rates saved before negotiated rates were tracked that differ from the list price',
+    run: async () => {
+      const { customers, custom, listPriced } = await markCustomRates();
+      return { counts: { customers, custom, listPriced }, failures: [], result: null };
+    }
+  }
+};
+
+// Default parameters filled in at run time
+const defaultParams = {
+  'daily-records': () => ({ date: formatBusinessDate(today()) }),
+  'record-catch-up': () => ({}),
+  'apply-schedule-revisions': () => ({}),
+  'sync-list-prices': () => ({}),
+  'mark-custom-rates': () => ({})
+};
+
+const getJobs = () => Object.entries(jobs).map(([name, job]) => ({ name, description: job.description }));
+
+const isJob = (name) => Object.prototype.hasOwnProperty.call(jobs, name);
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Check the parameters given for a job and normalise its dates to
+// YYYY-MM-DD; no date may be after today. Throws an error with statusCode 400 for anything the job
+// does not accept.
+const parseJobParams = (name, params) => {
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw badRequest('Job parameters must be an object');
+  }
+
+  const accepted = jobs[name].params || [];
+  const parsed = {};
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!accepted.includes(key)) {
+      throw badRequest(accepted.length > 0
+        ? `Job ${name} does not take a ${key} parameter; it takes ${accepted.join(', ')}`
+        : `Job ${name} does not take any parameters`);
+    }
+
+    const date = typeof value === 'string' ? parseBusinessDate(value) : null;
+    if (!date) {
+      throw badRequest(`Invalid ${key}: ${value}. Please use YYYY-MM-DD format`);
+    }
+    // Records are only generated for days that have started
+    if (date > today()) {
+      throw badRequest(`${key} cannot be after today (${formatBusinessDate(today())})`);
+    }
+    parsed[key] = formatBusinessDate(date);
+  }
+
+  if (parsed.from && parsed.to && parsed.from > parsed.to) {
+    throw badRequest('from cannot be after to');
+  }
+
+  const error = jobs[name].validate?.(parsed);
+  if (error) {
+    throw badRequest(error);
+  }
+
+  return parsed;
+};
+
+// Run a job and store the outcome in the JobRun collection. Resolves with
+// the finished JobRun; job failures are recorded rather than thrown.
+// Invalid parameters are thrown before anything is stored.
+const runJob = async (name, { trigger = 'manual', triggeredBy, params = {} } = {}) => {
+  if (!isJob(name)) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const jobParams = parseJobParams(name, params);
+
+  const activeRun = await JobRun.findOne({
+    job: name,
+    status: 'running',
+    startedAt: { $gte: moment().subtract(STALE_RUN_MINUTES, 'minutes').toDate() }
+  });
+
+  if (activeRun) {
+    const error = new Error(`Job ${name} is already running (run ${activeRun._id})`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const jobRun = await JobRun.create({
+    job: name,
+    trigger,
+    triggeredBy,
+    params: { ...defaultParams[name](), ...jobParams },
+    startedAt: new Date()
+  });
+
+  try {
+    const { counts, failures, result } = await jobs[name].run(jobRun.params);
+    jobRun.counts = counts;
+    jobRun.failures = failures;
+    jobRun.result = result;
+    jobRun.status = failures.length > 0 ? 'partial' : 'succeeded';
+  } catch (error) {
+    jobRun.status = 'failed';
+    jobRun.failures.push({ message: error.message });
+  }
+
+  jobRun.finishedAt = new Date();
+  await jobRun.save();
+
+  return jobRun;
+};
+
+export { getJobs, isJob, runJob };
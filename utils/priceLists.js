@@ -0,0 +1,100 @@
+import Subcategory from '../models/Subcategory.js';
+import Customer from '../models/Customer.js';
+import mongoose from 'mongoose';
+import { toId } from './deliveryPlanner.js';
+import { today } from './businessDate.js';
+
+// Load the subcategories that have a price list, keyed by id, so record
+// generation can look up the price in force on each day
+const loadPriceLists = async () => {
+  const subcategories = await Subcategory.find({ 'priceHistory.0': { $exists: true } });
+  return new Map(subcategories.map(subcategory => [subcategory._id.toString(), subcategory]));
+};
+
+// Move each subcategory's price to the price list entry in force today.
+// Returns the subcategories whose price changed.
+const syncListPrices = async () => {
+  const priceLists = await loadPriceLists();
+  const changed = [];
+
+  for (const subcategory of priceLists.values()) {
+    const price = subcategory.getPriceOn(today());
+    if (price !== subcategory.price) {
+      await Subcategory.updateOne({ _id: subcategory._id }, { $set: { price } });
+      changed.push({ subcategory: subcategory._id, name: subcategory.name, from: subcategory.price, to: price });
+    }
+  }
+
+  return changed;
+};
+
+// Whether a milk item's rate is a negotiated one: it differs from the list
+// price of its subcategory in force on `date`, or the subcategory is not
+// known. `subcategories` maps ids to Subcategory documents.
+const isNegotiatedRate = (item, date, subcategories) => {
+  const subcategory = subcategories.get(toId(item.subcategory));
+  return !subcategory || Number(item.pricePerUnit) !== subcategory.getPriceOn(date);
+};
+
+// Set isCustomRate on every milk item of a schedule being saved from a
+// request, for the schedule taking effect on `date`. Items sent as custom
+// stay custom; the rest are custom when their rate is negotiated.
+const flagCustomRates = async (deliverySchedule, date) => {
+  if (!Array.isArray(deliverySchedule)) return;
+
+  const items = deliverySchedule.flatMap(delivery => (Array.isArray(delivery.milkItems) ? delivery.milkItems : []));
+  const ids = items.map(item => toId(item.subcategory)).filter(id => mongoose.isValidObjectId(id));
+  const subcategories = new Map(
+    (await Subcategory.find({ _id: { $in: ids } })).map(subcategory => [subcategory._id.toString(), subcategory])
+  );
+
+  items.forEach(item => {
+    item.isCustomRate = item.isCustomRate === true || isNegotiatedRate(item, date, subcategories);
+  });
+};
+
+// Customers saved before negotiated rates were tracked have milk items
+// without isCustomRate, which would read as list-priced and lose their rate
+// at the next record run. Mark such items as custom when their rate differs
+// from the list price in force for their schedule, and list-priced
+// otherwise. Only items missing the flag are touched, so running it again
+// is harmless. Returns counts of the items marked each way.
+const markCustomRates = async () => {
+  const missingFlag = { $elemMatch: { isCustomRate: { $exists: false } } };
+  const customers = await Customer.find({
+    $or: [
+      { 'deliverySchedule.milkItems': missingFlag },
+      { 'scheduleRevisions.deliverySchedule.milkItems': missingFlag }
+    ]
+  }).select('deliverySchedule scheduleRevisions').lean();
+
+  if (customers.length === 0) return { customers: 0, custom: 0, listPriced: 0 };
+
+  const subcategories = new Map(
+    (await Subcategory.find()).map(subcategory => [subcategory._id.toString(), subcategory])
+  );
+  const result = { customers: 0, custom: 0, listPriced: 0 };
+
+  const markSchedule = (schedule, date) => schedule.forEach(delivery => delivery.milkItems.forEach(item => {
+    if (item.isCustomRate !== undefined) return;
+
+    item.isCustomRate = isNegotiatedRate(item, date, subcategories);
+    result[item.isCustomRate ? 'custom' : 'listPriced']++;
+  }));
+
+  for (const customer of customers) {
+    markSchedule(customer.deliverySchedule, today());
+    (customer.scheduleRevisions || []).forEach(revision =>
+      markSchedule(revision.deliverySchedule, revision.effectiveFrom)
+    );
+
+    await Customer.updateOne({ _id: customer._id }, {
+      $set: { deliverySchedule: customer.deliverySchedule, scheduleRevisions: customer.scheduleRevisions || [] }
+    });
+    result.customers++;
+  }
+
+  return result;
+};
+
+export { loadPriceLists, syncListPrices, flagCustomRates, markCustomRates };
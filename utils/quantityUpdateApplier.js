@@ -0,0 +1,184 @@
+import Record from '../models/Record.js';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import QuantityUpdate from '../models/QuantityUpdate.js';
+import { snapshotRecord, logRecordRevision } from './recordAudit.js';
+import { getQuantityUpdatePolicy, appliedUpdateQuery } from './quantityUpdatePolicy.js';
+import {
+  toId,
+  isScheduledOn,
+  getScheduledQuantity,
+  getScheduleForDate
+} from './deliveryPlanner.js';
+import {
+  formatBusinessDate,
+  businessDayQuery,
+  businessRangeQuery,
+  startOfBusinessDay,
+  endOfBusinessDay
+} from './businessDate.js';
+
+// Mark the invoice covering a customer's day as out of date with its
+// records. Returns the invoice, or null when the day is not invoiced.
+const flagInvoiceForRegeneration = async (customer, date, reason) => {
+  const invoice = await Invoice.findOne({
+    customer,
+    startDate: { $lte: endOfBusinessDay(date) },
+    endDate: { $gte: startOfBusinessDay(date) }
+  });
+  if (!invoice) return null;
+
+  // Keep earlier reasons until the invoice is regenerated
+  const reasons = invoice.needsRegeneration && invoice.regenerationReason
+    ? invoice.regenerationReason.split('; ')
+    : [];
+  if (!reasons.includes(reason)) reasons.push(reason);
+
+  invoice.needsRegeneration = true;
+  invoice.regenerationReason = reasons.join('; ');
+  await invoice.save();
+  return invoice;
+};
+
+// Bring records that already exist in line with quantity updates decided
+// after they were generated. `changes` lists { update, quantity }: the
+// quantity the update's milk item should now have. Records not generated
+// yet are left to record generation, and confirmed deliveries keep the
+// quantity the milkman reported. Each record changed gets a revision
+// entry, and invoices covering a changed day are flagged for regeneration.
+// Returns a report.
+const adjustRecordsForUpdates = async (changes, { reason, changedBy }) => {
+  const report = { adjusted: [], unchanged: 0, notGenerated: 0, skipped: [], invoicesFlagged: [], failures: [] };
+
+  // One pass per record, so a record changed by several updates gets one
+  // revision entry
+  const byRecord = new Map();
+  changes.forEach(change => {
+    const key = `${toId(change.update.customer)}-${formatBusinessDate(change.update.date)}`;
+    byRecord.set(key, [...(byRecord.get(key) || []), change]);
+  });
+
+  for (const recordChanges of byRecord.values()) {
+    const { customer, date } = recordChanges[0].update;
+    const day = formatBusinessDate(date);
+
+    try {
+      const record = await Record.findOne({ customer: toId(customer), date: businessDayQuery(date) });
+      if (!record) {
+        report.notGenerated += recordChanges.length;
+        continue;
+      }
+
+      const before = snapshotRecord(record);
+      const items = [];
+
+      recordChanges.forEach(({ update, quantity }) => {
+        const delivery = record.deliverySchedule.find(d => d.time === update.time);
+        const milkItem = delivery?.milkItems.find(item =>
+          !item.isExtra &&
+          toId(item.milkType) === toId(update.milkType) &&
+          toId(item.subcategory) === toId(update.subcategory)
+        );
+
+        if (!milkItem) {
+          report.skipped.push({ date: day, time: update.time, update: update._id, problem: 'The record has no such milk item in this slot' });
+          return;
+        }
+        // A confirmed delivery records what was actually handed over
+        if (['delivered', 'partial'].includes(delivery.deliveryStatus)) {
+          report.skipped.push({ date: day, time: update.time, update: update._id, problem: `The delivery is already confirmed as ${delivery.deliveryStatus}` });
+          return;
+        }
+        if (milkItem.quantity === quantity) {
+          report.unchanged++;
+          return;
+        }
+
+        items.push({ time: update.time, update: update._id, from: milkItem.quantity, to: quantity });
+        milkItem.quantity = quantity;
+        milkItem.totalPrice = quantity * milkItem.pricePerUnit;
+      });
+
+      if (items.length === 0) continue;
+
+      // Slot and daily totals are worked out again on save
+      await record.save();
+      await logRecordRevision(record, before, { action: 'quantity-update', reason, changedBy });
+      report.adjusted.push({ record: record._id, date: day, items });
+
+      const invoice = await flagInvoiceForRegeneration(
+        record.customer,
+        record.date,
+        `Quantities changed on ${day} after invoicing`
+      );
+      if (invoice && !report.invoicesFlagged.some(flagged => toId(flagged._id) === toId(invoice._id))) {
+        report.invoicesFlagged.push({ _id: invoice._id, invoiceNumber: invoice.invoiceNumber });
+      }
+    } catch (error) {
+      report.failures.push({ date: day, customer: toId(customer), message: error.message });
+    }
+  }
+
+  return report;
+};
+
+// Put records back once updates no longer apply (rejected or deleted).
+// Each milk item goes to the quantity it would have without the update:
+// another update for the same slot and item that the policy applies, or
+// else what the customer's schedule gives for the day. Returns a report as
+// adjustRecordsForUpdates does.
+const restoreRecordsForUpdates = async (updates, { reason, changedBy }) => {
+  if (updates.length === 0) return adjustRecordsForUpdates([], { reason, changedBy });
+
+  const dates = updates.map(update => update.date).sort((a, b) => a - b);
+  const customerIds = [...new Set(updates.map(update => toId(update.customer)))];
+  const policy = await getQuantityUpdatePolicy();
+  const [customers, otherUpdates] = await Promise.all([
+    Customer.find({ _id: { $in: customerIds } }),
+    QuantityUpdate.find({
+      _id: { $nin: updates.map(update => update._id) },
+      customer: { $in: customerIds },
+      date: businessRangeQuery(dates[0], dates[dates.length - 1]),
+      ...appliedUpdateQuery(policy)
+    }).sort({ updatedAt: -1 })
+  ]);
+  const customersById = new Map(customers.map(customer => [toId(customer), customer]));
+
+  const sameItem = (a, b) =>
+    toId(a.milkType) === toId(b.milkType) && toId(a.subcategory) === toId(b.subcategory);
+
+  const changes = [];
+  const skipped = [];
+  updates.forEach(update => {
+    const other = otherUpdates.find(candidate =>
+      toId(candidate.customer) === toId(update.customer) &&
+      formatBusinessDate(candidate.date) === formatBusinessDate(update.date) &&
+      candidate.time === update.time &&
+      sameItem(candidate, update)
+    );
+    if (other) {
+      changes.push({ update, quantity: other.newQuantity });
+      return;
+    }
+
+    const customer = customersById.get(toId(update.customer));
+    const delivery = customer && getScheduleForDate(customer, update.date).find(d => d.time === update.time);
+    const milkItem = delivery?.milkItems.find(item => sameItem(item, update));
+    if (!milkItem || !isScheduledOn(delivery, update.date)) {
+      skipped.push({
+        date: formatBusinessDate(update.date),
+        time: update.time,
+        update: update._id,
+        problem: 'The customer\'s schedule no longer has this milk item in this slot'
+      });
+      return;
+    }
+
+    changes.push({ update, quantity: getScheduledQuantity(delivery, milkItem, update.date) });
+  });
+
+  const report = await adjustRecordsForUpdates(changes, { reason, changedBy });
+  return { ...report, skipped: [...skipped, ...report.skipped] };
+};
+
+export { adjustRecordsForUpdates, restoreRecordsForUpdates, flagInvoiceForRegeneration };
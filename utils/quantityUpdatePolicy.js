@@ -0,0 +1,47 @@
+import SystemConfig from '../models/SystemConfig.js';
+import QuantityUpdate from '../models/QuantityUpdate.js';
+import { businessDayQuery } from './businessDate.js';
+
+// Which quantity updates change deliveries, by status. Rejected updates
+// never do.
+const QUANTITY_UPDATE_POLICIES = {
+  accepted: ['accepted'],
+  'accepted-and-pending': ['accepted', 'pending']
+};
+
+const DEFAULT_QUANTITY_UPDATE_POLICY = 'accepted';
+
+// Load the configured policy, falling back to the default when no system
+// configuration has been saved yet
+const getQuantityUpdatePolicy = async () => {
+  const config = await SystemConfig.findOne().select('quantityUpdatePolicy');
+  return QUANTITY_UPDATE_POLICIES[config?.quantityUpdatePolicy]
+    ? config.quantityUpdatePolicy
+    : DEFAULT_QUANTITY_UPDATE_POLICY;
+};
+
+// Mongo condition for the updates a policy applies
+const appliedUpdateQuery = (policy) => ({
+  status: { $in: QUANTITY_UPDATE_POLICIES[policy] || QUANTITY_UPDATE_POLICIES[DEFAULT_QUANTITY_UPDATE_POLICY] }
+});
+
+// Whether a policy applies a particular update
+const isAppliedUpdate = (update, policy) =>
+  appliedUpdateQuery(policy).status.$in.includes(update.status || 'pending');
+
+// Query for the updates a policy applies on one business day, narrowed by
+// `conditions` (customer, time...). Most recently decided first, so
+// findUpdateForItem picks the same update wherever a slot has more than one.
+const findAppliedUpdates = (date, policy, conditions = {}) => QuantityUpdate.find({
+  ...conditions,
+  date: businessDayQuery(date),
+  ...appliedUpdateQuery(policy)
+}).sort({ updatedAt: -1 });
+
+export {
+  QUANTITY_UPDATE_POLICIES,
+  getQuantityUpdatePolicy,
+  appliedUpdateQuery,
+  isAppliedUpdate,
+  findAppliedUpdates
+};
@@ -0,0 +1,41 @@
+import RecordRevision from '../models/RecordRevision.js';
+
+// Copy of a record's slots and totals, taken before a change
+const snapshotRecord = (record) => ({
+  slots: (record?.deliverySchedule || []).map(delivery => ({
+    time: delivery.time,
+    items: delivery.milkItems.map(item => ({
+      milkType: item.milkType?._id || item.milkType,
+      subcategory: item.subcategory?._id || item.subcategory,
+      quantity: item.quantity,
+      pricePerUnit: item.pricePerUnit
+    })),
+    totalQuantity: delivery.totalQuantity,
+    totalPrice: delivery.totalPrice,
+    deliveryStatus: delivery.deliveryStatus
+  })),
+  totals: record
+    ? { quantity: record.totalDailyQuantity, price: record.totalDailyPrice }
+    : { quantity: 0, price: 0 }
+});
+
+// Store a revision entry for a record. Pass the snapshot taken before the
+// change and the record as it is now (null once it has been deleted).
+const logRecordRevision = (record, before, { action, reason, changedBy }, current = record) => {
+  const after = snapshotRecord(current);
+
+  return RecordRevision.create({
+    record: record._id,
+    customer: record.customer?._id || record.customer,
+    date: record.date,
+    action,
+    reason,
+    changedBy,
+    before: before.slots,
+    after: after.slots,
+    totalsBefore: before.totals,
+    totalsAfter: after.totals
+  });
+};
+
+export { snapshotRecord, logRecordRevision };
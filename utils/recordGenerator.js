@@ -0,0 +1,257 @@
+import Record from '../models/Record.js';
+import Customer from '../models/Customer.js';
+import JobRun from '../models/JobRun.js';
+import ExtraOrder from '../models/ExtraOrder.js';
+import { checkIfHoliday, loadHolidayCalendar, getCustomerHolidaySlots } from './holidayUtils.js';
+import { loadPriceLists } from './priceLists.js';
+import { getQuantityUpdatePolicy, findAppliedUpdates } from './quantityUpdatePolicy.js';
+import {
+  dairyMoment,
+  parseBusinessDate,
+  toBusinessDay,
+  endOfBusinessDay,
+  addBusinessDays,
+  businessDaysBetween,
+  formatBusinessDate,
+  businessDayQuery,
+  today
+} from './businessDate.js';
+import {
+  hasJoinedBy,
+  getPausedSlots,
+  getDeliverySlots,
+  buildDeliverySchedule,
+  addExtraOrders
+} from './deliveryPlanner.js';
+
+// How far back catch-up looks when no start date is given, and the most
+// days one catch-up may cover
+const MAX_CATCH_UP_DAYS = 31;
+
+// Generate records for every active customer for one business day (a Date
+// or YYYY-MM-DD). Customers who already have a record for the day are left
+// alone, so this is safe to run more than once for the same date. Pass a
+// holiday calendar covering the day when generating many days.
+const generateRecordsForDate = async (date, { calendar } = {}) => {
+  const day = toBusinessDay(date);
+  if (!day) {
+    throw new Error(`Invalid date: ${date}. Please use YYYY-MM-DD format`);
+  }
+  const endOfDay = endOfBusinessDay(day);
+
+  const result = {
+    date: formatBusinessDate(day),
+    holiday: null,
+    created: 0,
+    skipped: {
+      existing: 0,
+      notJoined: 0,
+      paused: 0,
+      holiday: 0,
+      notScheduled: 0
+    },
+    errors: [],
+    records: []
+  };
+
+  // Check if the day is a holiday. A holiday covering both slots for
+  // everyone cancels the day; otherwise each customer loses only the slots
+  // their holidays cover.
+  const holiday = calendar ? calendar.check(day) : await checkIfHoliday(day);
+  if (holiday.isHoliday) {
+    result.holiday = holiday;
+    if (holiday.slots.length === 2) {
+      return result;
+    }
+  }
+
+  // Get all active customers, the price lists, the quantity update policy,
+  // extra orders for the day and the customers who already have a record
+  const [customers, priceLists, updatePolicy, extraOrders, existingCustomers] = await Promise.all([
+    Customer.find({ isActive: true }),
+    loadPriceLists(),
+    getQuantityUpdatePolicy(),
+    ExtraOrder.find({ date: { $gte: day, $lte: endOfDay }, status: 'pending' }),
+    Record.distinct('customer', { date: businessDayQuery(day) })
+  ]);
+  const hasRecord = new Set(existingCustomers.map(id => id.toString()));
+
+  for (const customer of customers) {
+    // Skip this customer if the day is before their joined date
+    if (!hasJoinedBy(customer, day)) {
+      result.skipped.notJoined++;
+      continue;
+    }
+
+    // Extra orders for slots that are not paused or on holiday
+    const pausedSlots = getPausedSlots(customer, day);
+    const holidaySlots = getCustomerHolidaySlots(holiday, customer);
+    const customerExtras = extraOrders.filter(order =>
+      order.customer.toString() === customer._id.toString() &&
+      !pausedSlots.includes(order.time) &&
+      !holidaySlots.includes(order.time)
+    );
+
+    // Skip this customer if every delivery is paused, on holiday or not due
+    // today and there is nothing extra to deliver
+    const dueSlots = getDeliverySlots(customer, day);
+    const slots = dueSlots.filter(time => !holidaySlots.includes(time));
+    if (slots.length === 0 && customerExtras.length === 0) {
+      if (dueSlots.length > 0) {
+        result.skipped.holiday++;
+      } else if (pausedSlots.length > 0) {
+        result.skipped.paused++;
+      } else {
+        result.skipped.notScheduled++;
+      }
+      continue;
+    }
+
+    // Skip this customer if their record for the day already exists
+    if (hasRecord.has(customer._id.toString())) {
+      result.skipped.existing++;
+      continue;
+    }
+
+    try {
+      // Get the quantity updates for the day that the policy applies;
+      // rejected updates never change a delivery
+      const updates = await findAppliedUpdates(day, updatePolicy, { customer: customer._id });
+
+      // Prepare new deliverySchedule for the record, with any extra orders
+      const {
+        deliverySchedule,
+        totalDailyQuantity,
+        totalDailyPrice
+      } = addExtraOrders(
+        buildDeliverySchedule(customer, day, updates, { slots, priceLists }).deliverySchedule,
+        customerExtras
+      );
+
+      // Create the record
+      const record = await Record.create({
+        customer: customer._id,
+        date: day,
+        deliverySchedule,
+        totalDailyQuantity,
+        totalDailyPrice
+      });
+
+      if (customerExtras.length > 0) {
+        await ExtraOrder.updateMany(
+          { _id: { $in: customerExtras.map(order => order._id) } },
+          { status: 'applied', record: record._id, appliedAt: new Date() }
+        );
+      }
+
+      result.records.push(record);
+    } catch (error) {
+      // Keep going so one bad customer does not block everyone else
+      result.errors.push({
+        customer: customer._id,
+        name: customer.name,
+        message: error.message
+      });
+    }
+  }
+
+  result.created = result.records.length;
+
+  return result;
+};
+
+// Day after the last successful daily run (or the most recent record if
+// the run history is empty), or null if nothing has been generated yet.
+// Dates that do not parse or lie in the future are ignored, so a run
+// generated ahead of time does not hide days missed before it.
+const getNextUngeneratedDate = async () => {
+  const [lastRun, latestRecord] = await Promise.all([
+    JobRun.findOne({ job: 'daily-records', status: { $in: ['succeeded', 'partial'] } }, { params: 1 }, { sort: { startedAt: -1 } }),
+    Record.findOne({}, { date: 1 }, { sort: { date: -1 } })
+  ]);
+
+  const candidates = [lastRun?.params?.date, latestRecord?.date]
+    .map(date => (date ? toBusinessDay(date) : null))
+    .filter(date => date && !isNaN(date) && date <= today());
+
+  return candidates.length > 0 ? addBusinessDays(new Date(Math.max(...candidates)), 1) : null;
+};
+
+// Catch-up status of a generated day
+const describeStatus = ({ holiday, created, skipped, errors }) => {
+  if (created === 0 && errors.length === 0 && skipped.existing > 0) return 'already generated';
+  if (!holiday) return 'generated';
+  if (holiday.slots.length === 2) return `holiday: ${holiday.holidayName}`;
+  return `generated (holiday for some deliveries: ${holiday.holidayName})`;
+};
+
+// Check a requested catch-up range of YYYY-MM-DD dates, either of which may
+// be left out. Returns an error message, or null when the range is fine.
+const validateCatchUpRange = ({ from, to } = {}) => {
+  const start = from ? parseBusinessDate(from) : null;
+  const end = to ? parseBusinessDate(to) : addBusinessDays(today(), -1);
+
+  if ((from && !start) || !end) {
+    return 'Invalid date format. Please use YYYY-MM-DD format';
+  }
+  if (end >= today()) {
+    return 'Catch-up only covers past days; today is left to the daily run';
+  }
+  if (start && start > end) {
+    return 'from cannot be after to';
+  }
+  if (start && businessDaysBetween(start, end) + 1 > MAX_CATCH_UP_DAYS) {
+    return `Catch-up covers at most ${MAX_CATCH_UP_DAYS} days at a time`;
+  }
+
+  return null;
+};
+
+// Generate records for every day in a range, for the customers who have
+// no record on the day, so a day cut short part way through is finished
+// off rather than skipped. Defaults to the days between the last
+// successful run and yesterday; today is left to the scheduled daily run.
+const catchUpMissedRecords = async ({ from, to } = {}) => {
+  const end = dairyMoment(to ? toBusinessDay(to) : addBusinessDays(today(), -1));
+  let start;
+
+  if (from) {
+    start = dairyMoment(toBusinessDay(from));
+  } else {
+    const nextDate = await getNextUngeneratedDate();
+    if (!nextDate) {
+      return {
+        from: null,
+        to: end.format('YYYY-MM-DD'),
+        dates: [],
+        totalCreated: 0,
+        message: 'No records exist yet, so there is no last run to catch up from'
+      };
+    }
+
+    const earliest = end.clone().subtract(MAX_CATCH_UP_DAYS - 1, 'days');
+    start = dairyMoment(nextDate).isAfter(earliest) ? dairyMoment(nextDate) : earliest;
+  }
+
+  const dates = [];
+  const calendar = await loadHolidayCalendar(start.toDate(), end.toDate());
+  for (const current = start.clone(); current.isSameOrBefore(end); current.add(1, 'day')) {
+    const result = await generateRecordsForDate(current.toDate(), { calendar });
+    dates.push({
+      date: result.date,
+      created: result.created,
+      skipped: result.skipped,
+      errors: result.errors,
+      status: describeStatus(result)
+    });
+  }
+
+  return {
+    from: start.format('YYYY-MM-DD'),
+    to: end.format('YYYY-MM-DD'),
+    dates,
+    totalCreated: dates.reduce((sum, date) => sum + date.created, 0)
+  };
+};
+
+export { generateRecordsForDate, catchUpMissedRecords, validateCatchUpRange };